@@ -5,6 +5,10 @@ import DebtForm from './components/DebtForm';
 import DebtList from './components/DebtList';
 import PaymentSetup from './components/PaymentSetup';
 import StrategyCards from './components/StrategyCards';
+import ConsolidationAnalyzer from './components/ConsolidationAnalyzer';
+import InvestVsPayDown from './components/InvestVsPayDown';
+import LifeEventSimulation from './components/LifeEventSimulation';
+import UtilizationTimeline from './components/UtilizationTimeline';
 import PlanDetails from './components/PlanDetails';
 import Navigation from './components/Navigation';
 
@@ -50,6 +54,18 @@ function AppContent() {
                 <p className="text-sm" style={{ color: '#666' }}>Choose the debt repayment strategy that works best for you.</p>
               </div>
               <StrategyCards />
+              <div className="mt-8">
+                <UtilizationTimeline />
+              </div>
+              <div className="mt-8">
+                <ConsolidationAnalyzer />
+              </div>
+              <div className="mt-8">
+                <InvestVsPayDown />
+              </div>
+              <div className="mt-8">
+                <LifeEventSimulation />
+              </div>
             </div>
           </div>
         );
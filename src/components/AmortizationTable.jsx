@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { buildAmortizationSchedule, getRemainingTerm } from '../utils/amortization';
+import { formatMonthYear, getPlanMonthDate } from '../utils/dates';
+
+// Standard amortization table for a term-based installment loan
+export default function AmortizationTable({ debt }) {
+  const { state } = useApp();
+  const [showAll, setShowAll] = useState(false);
+
+  const schedule = buildAmortizationSchedule(debt.balance, debt.apr, debt.minPayment);
+  const totalInterest = schedule.reduce((sum, row) => sum + row.interest, 0);
+  const visibleRows = showAll ? schedule : schedule.slice(0, 12);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+  };
+
+  return (
+    <div className="p-md bg-soft-blue-tint rounded-md">
+      <div className="flex flex-wrap gap-lg mb-md text-small text-navy-blue">
+        <div>
+          <span className="block text-xs text-gray-600">Monthly payment</span>
+          <span className="font-bold">{formatCurrency(debt.minPayment)}</span>
+        </div>
+        <div>
+          <span className="block text-xs text-gray-600">Payments left</span>
+          <span className="font-bold">{schedule.length} of {getRemainingTerm(debt.loanTerms)} scheduled</span>
+        </div>
+        {schedule.length > 0 && (
+          <div>
+            <span className="block text-xs text-gray-600">Payoff date</span>
+            <span className="font-bold">{formatMonthYear(getPlanMonthDate(state.planStartDate, schedule.length))}</span>
+          </div>
+        )}
+        <div>
+          <span className="block text-xs text-gray-600">Interest remaining</span>
+          <span className="font-bold text-orange">{formatCurrency(totalInterest)}</span>
+        </div>
+      </div>
+
+      <table className="min-w-full bg-white rounded-md">
+        <thead>
+          <tr className="border-b border-light-gray-blue">
+            <th className="px-md py-xs text-left text-xs font-medium text-navy-blue">Month</th>
+            <th className="px-md py-xs text-right text-xs font-medium text-navy-blue">Payment</th>
+            <th className="px-md py-xs text-right text-xs font-medium text-navy-blue">Interest</th>
+            <th className="px-md py-xs text-right text-xs font-medium text-navy-blue">Principal</th>
+            <th className="px-md py-xs text-right text-xs font-medium text-navy-blue">Balance</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-light-gray-blue">
+          {visibleRows.map(row => (
+            <tr key={row.month}>
+              <td className="px-md py-xs text-small text-navy-blue">{row.month}</td>
+              <td className="px-md py-xs text-small text-navy-blue text-right">{formatCurrency(row.payment)}</td>
+              <td className="px-md py-xs text-small text-orange text-right">{formatCurrency(row.interest)}</td>
+              <td className="px-md py-xs text-small text-bright-green text-right">{formatCurrency(row.principal)}</td>
+              <td className="px-md py-xs text-small text-navy-blue text-right">{formatCurrency(row.balance)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {schedule.length > 12 && (
+        <button
+          type="button"
+          onClick={() => setShowAll(!showAll)}
+          className="mt-sm text-small text-bright-blue underline"
+        >
+          {showAll ? 'Show first 12 months' : `Show all ${schedule.length} months`}
+        </button>
+      )}
+      <p className="mt-sm text-xs text-gray-600">
+        This is the loan's own schedule. Extra payments from your plan shorten it — compare the payoff month on the plan page.
+      </p>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+import { calculateTransferFee, getTransferredSpending } from '../utils/balanceTransfer';
+
+const DEFAULT_TRANSFER = { feePercent: 3, promoApr: 0, promoMonths: 18, goToApr: 24.99 };
+
+export default function BalanceTransferSetup() {
+  const { state, dispatch } = useApp();
+  const { balanceTransfer } = state;
+  const creditCards = state.debts.filter(debt => debt.isCreditCard);
+  const [selectedIds, setSelectedIds] = useState(balanceTransfer?.debtIds || []);
+  const { register, handleSubmit, watch, formState: { errors } } = useForm({
+    defaultValues: balanceTransfer || DEFAULT_TRANSFER
+  });
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+  };
+
+  const toggleCard = (debtId) => {
+    setSelectedIds(selectedIds.includes(debtId)
+      ? selectedIds.filter(id => id !== debtId)
+      : [...selectedIds, debtId]);
+  };
+
+  const onSubmit = (data) => {
+    dispatch({
+      type: 'SET_BALANCE_TRANSFER',
+      payload: {
+        debtIds: selectedIds,
+        feePercent: parseFloat(data.feePercent) || 0,
+        promoApr: parseFloat(data.promoApr) || 0,
+        promoMonths: parseInt(data.promoMonths, 10) || 0,
+        goToApr: parseFloat(data.goToApr)
+      }
+    });
+  };
+
+  const handleRemove = () => {
+    dispatch({ type: 'SET_BALANCE_TRANSFER', payload: null });
+    setSelectedIds([]);
+  };
+
+  const previewFee = calculateTransferFee(state.debts, { debtIds: selectedIds, feePercent: watch('feePercent') });
+  const movedSpending = getTransferredSpending(state.debts, { debtIds: selectedIds });
+
+  return (
+    <div className="extra-payments-section">
+      <h3 className="extra-payments-title">Balance Transfer</h3>
+      <p className="text-sm mb-4" style={{ color: '#333' }}>
+        Thinking about moving card balances to a 0% intro card? Describe the offer and each strategy will show whether it saves money after the transfer fee.
+      </p>
+
+      {creditCards.length === 0 ? (
+        <p className="text-sm" style={{ color: '#666' }}>Add a credit card to model a balance transfer.</p>
+      ) : (
+        <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-md p-4" style={{ border: '1px solid #e0e0e0' }}>
+          <div className="form-group">
+            <span className="form-label">Cards to Transfer</span>
+            {creditCards.map(debt => (
+              <label key={debt.id} className="flex items-center text-sm mb-2" style={{ color: '#333' }}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  style={{ width: 'auto', display: 'inline-block' }}
+                  checked={selectedIds.includes(debt.id)}
+                  onChange={() => toggleCard(debt.id)}
+                />
+                {debt.name} ({formatCurrency(debt.balance)} at {debt.apr.toFixed(2)}%)
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-group">
+              <label htmlFor="transferFee" className="form-label">Transfer Fee (%)</label>
+              <input
+                type="number"
+                step="0.1"
+                id="transferFee"
+                {...register('feePercent', {
+                  required: 'Fee is required',
+                  min: { value: 0, message: 'Fee must be positive' }
+                })}
+              />
+              {errors.feePercent && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.feePercent.message}</p>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="transferPromoApr" className="form-label">Intro APR (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                id="transferPromoApr"
+                {...register('promoApr', {
+                  required: 'Intro APR is required',
+                  min: { value: 0, message: 'APR must be positive' }
+                })}
+              />
+              {errors.promoApr && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.promoApr.message}</p>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="transferPromoMonths" className="form-label">Intro Period (months)</label>
+              <input
+                type="number"
+                step="1"
+                id="transferPromoMonths"
+                {...register('promoMonths', {
+                  required: 'Intro period is required',
+                  min: { value: 1, message: 'Intro period must be at least 1 month' }
+                })}
+              />
+              {errors.promoMonths && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.promoMonths.message}</p>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="transferGoToApr" className="form-label">APR After Intro (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                id="transferGoToApr"
+                {...register('goToApr', {
+                  required: 'Go-to APR is required',
+                  min: { value: 0, message: 'APR must be positive' }
+                })}
+              />
+              {errors.goToApr && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.goToApr.message}</p>
+              )}
+            </div>
+          </div>
+
+          {selectedIds.length > 0 && (
+            <p className="text-sm mb-4" style={{ color: '#666' }}>
+              Transfer fee: about {formatCurrency(previewFee)}, added to the new card's balance.
+            </p>
+          )}
+
+          {movedSpending > 0 && (
+            <p className="text-sm mb-4" style={{ color: '#666' }}>
+              The old cards stay open: their {formatCurrency(movedSpending)} of purchases each month are assumed paid in full
+              from your monthly budget, leaving that much less for debt.
+            </p>
+          )}
+
+          <div className="flex space-x-4">
+            <button type="submit" className="btn-primary flex-1 py-3 rounded-md" disabled={selectedIds.length === 0}>
+              {balanceTransfer ? 'Update Transfer Scenario' : 'Compare Balance Transfer'}
+            </button>
+            {balanceTransfer && (
+              <button type="button" onClick={handleRemove} className="btn-secondary px-6 rounded-md">
+                Remove
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
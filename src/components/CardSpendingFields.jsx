@@ -0,0 +1,37 @@
+import React from 'react';
+
+// Ongoing new card spending, shared by DebtForm and EditDebtForm
+export default function CardSpendingFields({ register, watch, errors }) {
+  const monthlySpending = parseFloat(watch('monthlySpending')) || 0;
+  const payInFull = watch('payInFull');
+
+  return (
+    <div className="rounded-md p-4" style={{ border: '1px solid #e0e0e0', backgroundColor: '#bbdefb', color: '#333' }}>
+      <label htmlFor="monthlySpending" className="block text-xs font-medium mb-1">New purchases each month ($)</label>
+      <input
+        type="number"
+        step="0.01"
+        id="monthlySpending"
+        placeholder="0"
+        className="mb-3"
+        {...register('monthlySpending', { min: { value: 0, message: 'Spending must be positive' } })}
+      />
+      {errors?.monthlySpending && (
+        <p className="mb-3 text-xs" style={{ color: '#f44336' }}>{errors.monthlySpending.message}</p>
+      )}
+
+      <label className="flex items-center text-xs mb-2">
+        <input type="checkbox" className="mr-2" style={{ width: 'auto', display: 'inline-block' }} {...register('payInFull')} />
+        I pay off new purchases in full every month
+      </label>
+
+      {monthlySpending > 0 && (
+        <p className="text-xs">
+          {payInFull
+            ? 'New purchases stay interest-free and don\'t slow down paying off the balance.'
+            : 'New purchases are added to the balance and charged interest until the card is paid off.'}
+        </p>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,275 @@
+import React, { useMemo, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+import { calculateAvalanche, getRepaymentCost } from '../utils/repaymentStrategies';
+import {
+  applyConsolidation,
+  calculateConsolidationLoanAmount,
+  getConsolidatedDebts,
+  getConsolidatedSpending,
+  retargetOneTimePayments
+} from '../utils/consolidation';
+import { formatMonthYear } from '../utils/dates';
+import { getMortgageIds } from '../utils/mortgages';
+
+export default function ConsolidationAnalyzer() {
+  const { state } = useApp();
+  const { debts, extraMonthlyPayment, extraPaymentSchedule, oneTimePayments, planStartDate, paymentFrequency, excludeMortgageFromExtra, marginalTaxRate, discountRate, emergencyFund, results } = state;
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [consolidation, setConsolidation] = useState(null);
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: { apr: '', termMonths: 60, feePercent: 5 }
+  });
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 2 }).format(amount);
+  };
+
+  const toggleDebt = (debtId) => {
+    setSelectedIds(selectedIds.includes(debtId)
+      ? selectedIds.filter(id => id !== debtId)
+      : [...selectedIds, debtId]);
+  };
+
+  const onSubmit = (data) => {
+    setConsolidation({
+      debtIds: selectedIds,
+      apr: parseFloat(data.apr),
+      termMonths: parseInt(data.termMonths, 10),
+      feePercent: parseFloat(data.feePercent) || 0
+    });
+  };
+
+  // First month's required outlay, leaving out any one-time payments
+  const getMonthlyPayment = (plan) => {
+    const firstMonth = plan.monthlyPayments[0];
+    if (!firstMonth) return 0;
+    return firstMonth.debtPayments.reduce((sum, p) => sum + p.payment, 0) - firstMonth.oneTimePayment;
+  };
+
+  const getDebtFreeDate = (plan) => {
+    return plan.debtFreeDate ? formatMonthYear(plan.debtFreeDate) : 'Never';
+  };
+
+  // The consolidated plan keeps the remaining debts as they are and sends the
+  // extra payment to the highest-rate debt, like the avalanche plan (with the
+  // same options). Purchases on the paid-off cards now come out of its budget
+  const activeConsolidation = consolidation && getConsolidatedDebts(debts, consolidation).length > 0 ? consolidation : null;
+  // Only rerun the plan when the offer or the plan inputs change, not on every render
+  const consolidatedPlan = useMemo(() => {
+    if (!activeConsolidation) return null;
+    const consolidatedDebts = applyConsolidation(debts, activeConsolidation);
+    const options = {
+      oneTimePayments: retargetOneTimePayments(oneTimePayments, activeConsolidation),
+      extraPaymentSchedule,
+      startDate: planStartDate,
+      paymentFrequency,
+      excludedDebtIds: excludeMortgageFromExtra ? getMortgageIds(debts) : [],
+      marginalTaxRate,
+      discountRate,
+      emergencyFund
+    };
+    const plan = calculateAvalanche(consolidatedDebts, extraMonthlyPayment, options);
+    const spending = getConsolidatedSpending(debts, activeConsolidation);
+    return spending > 0
+      ? calculateAvalanche(consolidatedDebts, extraMonthlyPayment, { ...options, monthlyBudget: plan.monthlyBudget - spending })
+      : plan;
+  }, [debts, activeConsolidation, extraMonthlyPayment, oneTimePayments, extraPaymentSchedule, planStartDate, paymentFrequency, excludeMortgageFromExtra, marginalTaxRate, discountRate, emergencyFund]);
+
+  let comparison = null;
+  if (consolidatedPlan && results) {
+    const loanAmount = calculateConsolidationLoanAmount(debts, activeConsolidation);
+    const originationFee = loanAmount - getConsolidatedDebts(debts, activeConsolidation).reduce((sum, debt) => sum + debt.balance, 0);
+
+    comparison = {
+      loanAmount,
+      originationFee,
+      purchases: getConsolidatedSpending(debts, activeConsolidation),
+      consolidatedPlan,
+      columns: [
+        { id: 'consolidated', title: 'Consolidate', plan: consolidatedPlan, fee: originationFee },
+        { id: 'minimum', title: 'Minimum Payments', plan: results.minimum, fee: 0 },
+        { id: 'avalanche', title: 'Debt Avalanche', plan: results.avalanche, fee: 0 },
+        { id: 'snowball', title: 'Debt Snowball', plan: results.snowball, fee: 0 }
+      ].filter(column => column.plan)
+    };
+  }
+
+  const getVerdict = () => {
+    const { consolidatedPlan } = comparison;
+    const avalanche = results.avalanche;
+    if (consolidatedPlan.feasible === false) {
+      return { tone: 'text-orange', text: 'The consolidated plan never pays off. Try a shorter term or roll in more of your debt.' };
+    }
+    if (!avalanche || avalanche.feasible === false) {
+      return { tone: 'text-bright-green', text: `Consolidating gets you debt-free by ${getDebtFreeDate(consolidatedPlan)}, which your current debts never reach.` };
+    }
+    // Purchases are left out of both plans, since the consolidated plan pays
+    // them in full instead of carrying them
+    const savings = getRepaymentCost(avalanche) - getRepaymentCost(consolidatedPlan);
+    return savings > 0
+      ? { tone: 'text-bright-green', text: `Consolidating saves ${formatCurrency(savings)} compared with the avalanche method on your current debts, after the origination fee.` }
+      : { tone: 'text-orange', text: `Consolidating costs ${formatCurrency(-savings)} more than the avalanche method on your current debts. A lower rate or fee would be needed to come out ahead.` };
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-xl font-bold text-navy-blue mb-4 text-center">
+        Should I Consolidate?
+      </h3>
+      <p className="text-sm text-gray-600 text-center mb-6 max-w-2xl mx-auto">
+        Pick the debts you'd roll into a consolidation loan and enter the loan offer. Debts you leave out stay as they are.
+      </p>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-4">
+          <div>
+            <h4 className="text-sm font-bold text-navy-blue uppercase mb-2 tracking-wide">Debts to Consolidate</h4>
+            {debts.map(debt => (
+              <label key={debt.id} className="flex items-center text-sm text-gray-700 mb-2">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  style={{ width: 'auto', display: 'inline-block' }}
+                  checked={selectedIds.includes(debt.id)}
+                  onChange={() => toggleDebt(debt.id)}
+                />
+                {debt.name} ({formatCurrency(debt.balance)} at {debt.apr.toFixed(2)}%)
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="consolidationApr" className="block text-sm font-medium text-navy-blue mb-1">Loan APR (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                id="consolidationApr"
+                {...register('apr', {
+                  required: 'APR is required',
+                  min: { value: 0, message: 'APR must be positive' }
+                })}
+              />
+              {errors.apr && <p className="mt-1 text-xs text-orange">{errors.apr.message}</p>}
+            </div>
+            <div>
+              <label htmlFor="consolidationTerm" className="block text-sm font-medium text-navy-blue mb-1">Term (months)</label>
+              <input
+                type="number"
+                step="1"
+                id="consolidationTerm"
+                {...register('termMonths', {
+                  required: 'Term is required',
+                  min: { value: 1, message: 'Term must be at least 1 month' }
+                })}
+              />
+              {errors.termMonths && <p className="mt-1 text-xs text-orange">{errors.termMonths.message}</p>}
+            </div>
+            <div>
+              <label htmlFor="consolidationFee" className="block text-sm font-medium text-navy-blue mb-1">Origination fee (%)</label>
+              <input
+                type="number"
+                step="0.1"
+                id="consolidationFee"
+                {...register('feePercent', {
+                  min: { value: 0, message: 'Fee must be positive' },
+                  max: { value: 20, message: 'Fee must be 20% or less' }
+                })}
+              />
+              {errors.feePercent && <p className="mt-1 text-xs text-orange">{errors.feePercent.message}</p>}
+            </div>
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={selectedIds.length === 0}
+          className="w-full bg-navy-blue text-white font-bold rounded-md transition-all hover:opacity-90 disabled:opacity-50"
+          style={{ height: '48px' }}
+        >
+          Compare Consolidation
+        </button>
+      </form>
+
+      {comparison && (
+        <>
+          <p className="text-sm text-gray-600 text-center mb-4">
+            Borrowing {formatCurrency(comparison.loanAmount)} ({formatCurrency(comparison.originationFee)} origination fee) over {activeConsolidation.termMonths} months
+            {extraMonthlyPayment > 0 && `, with your ${formatCurrency(extraMonthlyPayment)} extra payment going to the highest-rate debt`}.
+            {comparison.purchases > 0 && ` The paid-off cards' ${formatCurrency(comparison.purchases)} of purchases each month are paid in full from the same budget.`}
+          </p>
+
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="px-4 py-3 text-left font-bold text-navy-blue"></th>
+                  {comparison.columns.map(column => (
+                    <th
+                      key={column.id}
+                      className={`px-4 py-3 text-right font-bold uppercase tracking-wide ${column.id === 'consolidated' ? 'text-bright-blue' : 'text-navy-blue'}`}
+                    >
+                      {column.title}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Monthly payment</td>
+                  {comparison.columns.map(column => (
+                    <td key={column.id} className="px-4 py-3 text-right font-medium text-navy-blue">
+                      {formatCurrency(getMonthlyPayment(column.plan))}
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Total interest</td>
+                  {comparison.columns.map(column => (
+                    <td key={column.id} className="px-4 py-3 text-right font-medium text-orange">
+                      {formatCurrency(column.plan.totalInterest)}
+                      {column.fee > 0 && (
+                        <div className="text-xs font-normal text-gray-600">+ {formatCurrency(column.fee)} fee</div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">
+                    Total cost
+                    {comparison.columns.some(column => column.plan.totalNewCharges > 0) && (
+                      <div className="text-xs">not counting new purchases</div>
+                    )}
+                  </td>
+                  {comparison.columns.map(column => (
+                    <td key={column.id} className="px-4 py-3 text-right font-medium text-navy-blue">
+                      {column.plan.feasible === false ? '—' : formatCurrency(getRepaymentCost(column.plan))}
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Debt-free date</td>
+                  {comparison.columns.map(column => (
+                    <td key={column.id} className={`px-4 py-3 text-right font-medium ${column.plan.feasible === false ? 'text-orange' : 'text-bright-green'}`}>
+                      {getDebtFreeDate(column.plan)}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          {(() => {
+            const verdict = getVerdict();
+            return (
+              <div className="bg-soft-blue-tint rounded-md p-4 text-center">
+                <p className={`text-sm font-bold ${verdict.tone}`}>{verdict.text}</p>
+              </div>
+            );
+          })()}
+        </>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -1,24 +1,74 @@
 import React, { useState, useEffect } from 'react';
-import { useForm } from 'react-hook-form';
+import { useForm, useFieldArray } from 'react-hook-form';
 import { useApp } from '../context/AppContext';
+import MinimumPaymentRule from './MinimumPaymentRule';
+import CardSpendingFields from './CardSpendingFields';
+import LoanTermsFields from './LoanTermsFields';
+import StudentLoanFields from './StudentLoanFields';
+import MortgageFields from './MortgageFields';
+import { DEFAULT_STUDENT_LOAN } from '../utils/studentLoans';
+import { DEFAULT_MORTGAGE } from '../utils/mortgages';
+import { INTEREST_DEDUCTION_OPTIONS } from '../utils/taxes';
+import { buildDebtPayload } from '../utils/debtPayload';
 
 export default function DebtForm() {
   const [showForm, setShowForm] = useState(false);
   const [isCreditCard, setIsCreditCard] = useState(false);
-  const { register, handleSubmit, reset, formState: { errors }, setValue, unregister } = useForm();
+  const [hasPromo, setHasPromo] = useState(false);
+  const [useLoanTerms, setUseLoanTerms] = useState(false);
+  const [isStudentLoan, setIsStudentLoan] = useState(false);
+  const [isMortgage, setIsMortgage] = useState(false);
+  const { register, handleSubmit, reset, control, watch, formState: { errors }, setValue, unregister } = useForm({
+    defaultValues: {
+      interestMethod: 'monthly',
+      rateSchedule: [],
+      minimumRule: { preset: 'standard' },
+      monthlyFee: '',
+      monthlySpending: '',
+      payInFull: false,
+      creditLimit: '',
+      loanTerms: { originalPrincipal: '', termMonths: '', paymentsMade: '' },
+      studentLoan: DEFAULT_STUDENT_LOAN,
+      mortgage: DEFAULT_MORTGAGE,
+      interestDeduction: 'none'
+    }
+  });
+  const { fields: rateChanges, append: addRateChange, remove: removeRateChange } = useFieldArray({
+    control,
+    name: 'rateSchedule'
+  });
   const { dispatch } = useApp();
+  
+  // Income-driven plans set the payment from income, so there's nothing to type in
+  const usesIdr = !isCreditCard && isStudentLoan && watch('studentLoan.repaymentPlan') === 'idr';
+  useEffect(() => {
+    if (usesIdr) {
+      unregister('minPayment');
+    }
+  }, [usesIdr, unregister]);
 
-  // Calculate credit card minimum payment
-  const calculateCreditCardMinimum = (balance, apr) => {
-    const monthlyInterestRate = apr / 100 / 12;
-    const monthlyInterest = balance * monthlyInterestRate;
-    const percentageOfBalance = balance * 0.01; // 1% of balance
-    const calculatedMinimum = percentageOfBalance + monthlyInterest;
-    
-    // Most credit cards have a minimum of $25 or the full balance if less than $25
-    const fixedMinimum = balance < 25 ? balance : 25;
+  // A loan is a student loan or a mortgage, not both. Turning either on
+  // suggests how its interest is usually deducted.
+  const handleStudentLoanToggle = () => {
+    setIsStudentLoan(!isStudentLoan);
+    setIsMortgage(false);
+    if (!isStudentLoan) setValue('interestDeduction', 'studentLoan');
+  };
+
+  const handleMortgageToggle = () => {
+    setIsMortgage(!isMortgage);
+    setIsStudentLoan(false);
+    if (!isMortgage) setValue('interestDeduction', 'full');
+  };
+
+  // Switch between typing the payment and deriving it from the loan terms
+  const handleLoanTermsToggle = () => {
+    const newValue = !useLoanTerms;
+    setUseLoanTerms(newValue);
     
-    return Math.max(calculatedMinimum, fixedMinimum);
+    if (newValue) {
+      unregister('minPayment');
+    }
   };
 
   // Handle toggle of credit card
@@ -36,32 +86,26 @@ export default function DebtForm() {
   };
 
   const onSubmit = (data) => {
-    const balance = parseFloat(data.balance);
-    const apr = parseFloat(data.apr);
-    
-    // If it's a credit card, calculate the minimum payment
-    const minPayment = isCreditCard 
-      ? calculateCreditCardMinimum(balance, apr)
-      : parseFloat(data.minPayment);
-
     dispatch({
       type: 'ADD_DEBT',
-      payload: {
-        name: data.name,
-        apr: apr,
-        balance: balance,
-        minPayment: minPayment,
-        isCreditCard: isCreditCard
-      }
+      payload: buildDebtPayload(data, { isCreditCard, hasPromo, useLoanTerms, isStudentLoan, isMortgage })
     });
     reset();
     setShowForm(false);
     setIsCreditCard(false);
+    setHasPromo(false);
+    setUseLoanTerms(false);
+    setIsStudentLoan(false);
+    setIsMortgage(false);
   };
 
   const toggleForm = () => {
     setShowForm(!showForm);
     setIsCreditCard(false);
+    setHasPromo(false);
+    setUseLoanTerms(false);
+    setIsStudentLoan(false);
+    setIsMortgage(false);
   };
 
   return (
@@ -159,39 +203,265 @@ export default function DebtForm() {
               <label htmlFor="minPayment" className="form-label">
                 Minimum Monthly Payment ($)
               </label>
-              {!isCreditCard ? (
+              {usesIdr ? (
+                <p className="text-sm" style={{ color: '#666' }}>Set by your income-driven repayment plan below.</p>
+              ) : !isCreditCard ? (
                 <>
+                  {useLoanTerms ? (
+                    <LoanTermsFields register={register} watch={watch} errors={errors} />
+                  ) : (
+                    <input
+                      type="number"
+                      step="0.01"
+                      id="minPayment"
+                      placeholder="0"
+                      {...register('minPayment', { 
+                        required: 'Minimum payment is required',
+                        min: { value: 0, message: 'Payment must be positive' }
+                      })}
+                    />
+                  )}
+                  {!useLoanTerms && errors.minPayment && (
+                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.minPayment.message}</p>
+                  )}
+                  <button
+                    type="button"
+                    onClick={handleLoanTermsToggle}
+                    className="mt-2 text-sm underline"
+                    style={{ color: '#1976d2' }}
+                  >
+                    {useLoanTerms ? 'Enter my payment instead' : 'Calculate from loan amount and term'}
+                  </button>
+                </>
+              ) : (
+                <MinimumPaymentRule register={register} watch={watch} errors={errors} />
+              )}
+            </div>
+          </div>
+
+          {isCreditCard && (
+            <div className="form-group">
+              <label htmlFor="creditLimit" className="form-label">
+                Credit Limit ($)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                id="creditLimit"
+                placeholder="Optional, for credit utilization"
+                {...register('creditLimit', {
+                  min: { value: 0, message: 'Credit limit must be positive' }
+                })}
+              />
+              {errors.creditLimit && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.creditLimit.message}</p>
+              )}
+            </div>
+          )}
+
+          {isCreditCard && (
+            <div className="form-group">
+              <label className="form-label">New Card Spending</label>
+              <CardSpendingFields register={register} watch={watch} errors={errors} />
+            </div>
+          )}
+
+          {!isCreditCard && (
+            <div className="rounded-md p-4" style={{ backgroundColor: '#f5f5f5', border: '1px solid #e0e0e0' }}>
+              <label className="flex items-center text-sm font-medium" style={{ color: '#333' }}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  style={{ width: 'auto', display: 'inline-block' }}
+                  checked={isStudentLoan}
+                  onChange={handleStudentLoanToggle}
+                />
+                This is a federal student loan (income-driven repayment, deferment, forgiveness)
+              </label>
+              
+              {isStudentLoan && (
+                <div className="mt-4">
+                  <StudentLoanFields register={register} watch={watch} errors={errors} />
+                </div>
+              )}
+              
+              <label className="flex items-center text-sm font-medium mt-4" style={{ color: '#333' }}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  style={{ width: 'auto', display: 'inline-block' }}
+                  checked={isMortgage}
+                  onChange={handleMortgageToggle}
+                />
+                This is a mortgage (escrow, PMI, recasting)
+              </label>
+              
+              {isMortgage && (
+                <div className="mt-4">
+                  <MortgageFields register={register} watch={watch} errors={errors} useLoanTerms={useLoanTerms} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {!isCreditCard && (
+            <div className="form-group">
+              <label htmlFor="interestDeduction" className="form-label">
+                Interest Tax Deduction
+              </label>
+              <select id="interestDeduction" {...register('interestDeduction')}>
+                {Object.entries(INTEREST_DEDUCTION_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <p className="mt-2 text-xs" style={{ color: '#666' }}>
+                Deductible interest costs less than its APR once your tax savings are counted. Set your tax rate on the payment setup step.
+              </p>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="interestMethod" className="form-label">
+              Interest Calculation
+            </label>
+            <select id="interestMethod" {...register('interestMethod')}>
+              <option value="monthly">Simple monthly (APR ÷ 12 each month)</option>
+              <option value="daily">Daily balance (APR ÷ 365 × days in billing cycle)</option>
+            </select>
+            <p className="mt-2 text-xs" style={{ color: '#666' }}>
+              Most credit cards use the daily method, so 31-day cycles cost more than 28-day ones.
+            </p>
+          </div>
+
+          <div className="rounded-md p-4" style={{ backgroundColor: '#f5f5f5', border: '1px solid #e0e0e0' }}>
+            <label className="flex items-center text-sm font-medium" style={{ color: '#333' }}>
+              <input
+                type="checkbox"
+                className="mr-2"
+                style={{ width: 'auto', display: 'inline-block' }}
+                checked={hasPromo}
+                onChange={() => setHasPromo(!hasPromo)}
+              />
+              This debt has an intro / promotional rate (e.g., 0% for 12 months)
+            </label>
+            
+            {hasPromo && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+                <div className="form-group">
+                  <label htmlFor="promoApr" className="form-label">
+                    Intro Rate (%)
+                  </label>
                   <input
                     type="number"
                     step="0.01"
-                    id="minPayment"
+                    id="promoApr"
                     placeholder="0"
-                    {...register('minPayment', { 
-                      required: 'Minimum payment is required',
-                      min: { value: 0, message: 'Payment must be positive' }
+                    {...register('promoApr', { 
+                      required: 'Intro rate is required',
+                      min: { value: 0, message: 'Rate must be positive' }
                     })}
                   />
-                  {errors.minPayment && (
-                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.minPayment.message}</p>
+                  {errors.promoApr && (
+                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.promoApr.message}</p>
                   )}
-                </>
-              ) : (
-                <div className="rounded-md p-4" style={{ border: '1px solid #e0e0e0', backgroundColor: '#bbdefb', color: '#333' }}>
-                  <div className="flex items-center mb-2">
-                    <svg className="h-4 w-4 mr-2" style={{ color: '#1976d2' }} fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
-                    </svg>
-                    <p className="text-sm font-medium" style={{ color: '#1976d2' }}>Automatically calculated</p>
-                  </div>
-                  <p className="text-xs mb-2">For credit cards, minimum payment is:</p>
-                  <ul className="list-disc list-inside text-xs mb-2 ml-4">
-                    <li>1% of balance + monthly interest</li>
-                    <li>Or $25 minimum (if balance allows)</li>
-                  </ul>
-                  <p className="text-xs italic">Calculated using standard industry practices</p>
                 </div>
-              )}
-            </div>
+                
+                <div className="form-group">
+                  <label htmlFor="promoMonths" className="form-label">
+                    Intro Rate Ends After (months)
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    id="promoMonths"
+                    placeholder="12"
+                    {...register('promoMonths', { 
+                      required: 'Promo length is required',
+                      min: { value: 1, message: 'Promo must last at least 1 month' }
+                    })}
+                  />
+                  {errors.promoMonths && (
+                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.promoMonths.message}</p>
+                  )}
+                </div>
+                
+                <label className="flex items-start text-sm md:col-span-2" style={{ color: '#333' }}>
+                  <input
+                    type="checkbox"
+                    className="mr-2 mt-1"
+                    style={{ width: 'auto', display: 'inline-block' }}
+                    {...register('deferredInterest')}
+                  />
+                  <span>
+                    Deferred interest (common on store cards): if the balance isn't paid off by the end of the promo,
+                    all the interest from the promo period is charged at once.
+                  </span>
+                </label>
+              </div>
+            )}
+          </div>
+
+          <div className="rounded-md p-4" style={{ backgroundColor: '#f5f5f5', border: '1px solid #e0e0e0' }}>
+            <p className="text-sm font-medium" style={{ color: '#333' }}>Scheduled Rate Changes</p>
+            <p className="text-xs mb-4" style={{ color: '#666' }}>
+              For variable-rate debts like a HELOC or private student loan, enter when the APR resets and what it becomes.
+            </p>
+            
+            {rateChanges.map((field, index) => (
+              <div key={field.id} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-4">
+                <div>
+                  <label htmlFor={`rateSchedule-${index}-month`} className="form-label">
+                    Starting Month
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    id={`rateSchedule-${index}-month`}
+                    placeholder="13"
+                    {...register(`rateSchedule.${index}.month`, { 
+                      required: 'Month is required',
+                      min: { value: 1, message: 'Month must be 1 or later' }
+                    })}
+                  />
+                  {errors.rateSchedule?.[index]?.month && (
+                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.rateSchedule[index].month.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor={`rateSchedule-${index}-apr`} className="form-label">
+                    New APR (%)
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    id={`rateSchedule-${index}-apr`}
+                    placeholder="9.5"
+                    {...register(`rateSchedule.${index}.apr`, { 
+                      required: 'APR is required',
+                      min: { value: 0, message: 'APR must be positive' }
+                    })}
+                  />
+                  {errors.rateSchedule?.[index]?.apr && (
+                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.rateSchedule[index].apr.message}</p>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeRateChange(index)}
+                  className="btn-secondary px-4 py-3 rounded-md"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            
+            <button
+              type="button"
+              onClick={() => addRateChange({ month: '', apr: '' })}
+              className="btn-secondary px-4 py-2 rounded-md text-sm"
+            >
+              + Add Rate Change
+            </button>
           </div>
 
           <div className="flex space-x-4">
@@ -1,10 +1,18 @@
 import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
 import EditDebtForm from './EditDebtForm';
+import AmortizationTable from './AmortizationTable';
+import { describeMinimumRule } from '../utils/minimumPayments';
+import { describeStudentLoan } from '../utils/studentLoans';
+import { describeMortgage } from '../utils/mortgages';
+import { isInterestDeductible } from '../utils/taxes';
+import { getUtilization, hasCreditLimit } from '../utils/creditUtilization';
 
 export default function DebtList() {
   const { state, dispatch } = useApp();
   const [editingDebt, setEditingDebt] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [scheduleDebtId, setScheduleDebtId] = useState(null);
 
   const handleDelete = (id) => {
     dispatch({ type: 'DELETE_DEBT', payload: id });
@@ -18,6 +26,28 @@ export default function DebtList() {
     setEditingDebt(null);
   };
 
+  // Drag and drop sets the payoff order used by the custom strategy
+  const handleDragStart = (index) => {
+    setDragIndex(index);
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      dispatch({ type: 'REORDER_DEBTS', payload: { fromIndex: dragIndex, toIndex: index } });
+    }
+    setDragIndex(null);
+  };
+
+  const handleMove = (index, direction) => {
+    const toIndex = index + direction;
+    if (toIndex < 0 || toIndex >= state.debts.length) return;
+    dispatch({ type: 'REORDER_DEBTS', payload: { fromIndex: index, toIndex } });
+  };
+
   const totalDebt = state.debts.reduce((sum, debt) => sum + debt.balance, 0);
   const totalMinPayment = state.debts.reduce((sum, debt) => sum + debt.minPayment, 0);
 
@@ -33,58 +63,164 @@ export default function DebtList() {
       {!editingDebt && (
         <div className="overflow-x-auto">
           {state.debts.length > 0 ? (
-            <table className="min-w-full">
-              <thead>
-                <tr className="border-b border-light-gray-blue">
-                  <th className="px-md py-sm text-left text-small font-medium text-navy-blue">Name</th>
-                  <th className="px-md py-sm text-left text-small font-medium text-navy-blue">Interest Rate (APR) %</th>
-                  <th className="px-md py-sm text-right text-small font-medium text-navy-blue">Balance</th>
-                  <th className="px-md py-sm text-right text-small font-medium text-navy-blue">Minimum Monthly Payment</th>
-                  <th className="px-md py-sm text-right text-small font-medium text-navy-blue"></th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-light-gray-blue">
-                {state.debts.map((debt) => (
-                  <tr key={debt.id} className="hover:bg-soft-blue">
-                    <td className="px-md py-sm whitespace-nowrap text-regular font-medium text-navy-blue">
-                      <div className="flex items-center">
-                        {debt.name}
-                        {debt.isCreditCard && (
-                          <span className="ml-sm inline-flex items-center px-xs py-xs rounded-full text-xs font-medium bg-bright-blue text-white">
-                            CC
-                          </span>
-                        )}
-                      </div>
-                    </td>
-                    <td className="px-md py-sm whitespace-nowrap text-regular text-navy-blue">
-                      {debt.apr.toFixed(2)}%
-                    </td>
-                    <td className="px-md py-sm whitespace-nowrap text-regular text-navy-blue text-right">
-                      ${debt.balance.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
-                    </td>
-                    <td className="px-md py-sm whitespace-nowrap text-regular text-bright-blue font-medium text-right">
-                      ${debt.minPayment.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
-                    </td>
-                    <td className="px-md py-sm whitespace-nowrap text-right">
-                      <div className="flex justify-end space-x-xs">
-                        <button
-                          onClick={() => handleDelete(debt.id)}
-                          className="px-sm py-xs bg-light-gray-blue text-navy-blue text-small rounded-md hover:bg-bright-blue hover:text-white transition-colors duration-200"
-                        >
-                          Delete
-                        </button>
-                        <button 
-                          onClick={() => handleEdit(debt)}
-                          className="px-sm py-xs text-small bg-light-gray-blue text-navy-blue rounded-md hover:bg-bright-blue hover:text-white transition-colors duration-200"
-                        >
-                          Edit
-                        </button>
-                      </div>
-                    </td>
+            <>
+              {state.debts.length > 1 && (
+                <p className="px-md py-sm text-small text-gray-600">
+                  Drag debts (or use the arrows) to set your own payoff order for the Custom Order strategy.
+                </p>
+              )}
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b border-light-gray-blue">
+                    <th className="px-md py-sm text-left text-small font-medium text-navy-blue" title="Payoff order for the Custom Order strategy">Priority</th>
+                    <th className="px-md py-sm text-left text-small font-medium text-navy-blue">Name</th>
+                    <th className="px-md py-sm text-left text-small font-medium text-navy-blue">Interest Rate (APR) %</th>
+                    <th className="px-md py-sm text-right text-small font-medium text-navy-blue">Balance</th>
+                    <th className="px-md py-sm text-right text-small font-medium text-navy-blue">Minimum Monthly Payment</th>
+                    <th className="px-md py-sm text-right text-small font-medium text-navy-blue"></th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody className="divide-y divide-light-gray-blue">
+                  {state.debts.map((debt, index) => (
+                    <React.Fragment key={debt.id}>
+                      <tr
+                        draggable
+                        onDragStart={() => handleDragStart(index)}
+                        onDragOver={handleDragOver}
+                        onDrop={() => handleDrop(index)}
+                        onDragEnd={() => setDragIndex(null)}
+                        className={`hover:bg-soft-blue ${dragIndex === index ? 'opacity-50' : ''}`}
+                      >
+                        <td className="px-md py-sm whitespace-nowrap text-regular text-navy-blue">
+                          <div className="flex items-center space-x-xs">
+                            <span className="cursor-move text-gray-400 select-none" aria-hidden="true">⋮⋮</span>
+                            <span className="font-medium">{index + 1}</span>
+                            <div className="flex flex-col">
+                              <button
+                                type="button"
+                                onClick={() => handleMove(index, -1)}
+                                disabled={index === 0}
+                                className="text-xs leading-none text-navy-blue disabled:text-gray-300"
+                                aria-label={`Move ${debt.name} up`}
+                              >
+                                ▲
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => handleMove(index, 1)}
+                                disabled={index === state.debts.length - 1}
+                                className="text-xs leading-none text-navy-blue disabled:text-gray-300"
+                                aria-label={`Move ${debt.name} down`}
+                              >
+                                ▼
+                              </button>
+                            </div>
+                          </div>
+                        </td>
+                        <td className="px-md py-sm whitespace-nowrap text-regular font-medium text-navy-blue">
+                          <div className="flex items-center">
+                            {debt.name}
+                            {debt.isCreditCard && (
+                              <span className="ml-sm inline-flex items-center px-xs py-xs rounded-full text-xs font-medium bg-bright-blue text-white">
+                                CC
+                              </span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-md py-sm whitespace-nowrap text-regular text-navy-blue">
+                          {debt.apr.toFixed(2)}%
+                          {debt.promoMonths > 0 && (
+                            <span className="block text-xs text-gray-600">
+                              {debt.promoApr.toFixed(2)}% for {debt.promoMonths} mo{debt.deferredInterest ? ' (deferred interest)' : ''}
+                            </span>
+                          )}
+                          {debt.rateSchedule?.length > 0 && (
+                            <span className="block text-xs text-gray-600">
+                              Variable: {[...debt.rateSchedule]
+                                .sort((a, b) => a.month - b.month)
+                                .map(change => `${change.apr.toFixed(2)}% from mo ${change.month}`)
+                                .join(', ')}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-md py-sm whitespace-nowrap text-regular text-navy-blue text-right">
+                          ${debt.balance.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+                          {debt.monthlySpending > 0 && (
+                            <span className="block text-xs text-gray-600">
+                              +${debt.monthlySpending.toLocaleString('en-US', { maximumFractionDigits: 0 })}/mo spending{debt.payInFull ? ' (paid in full)' : ''}
+                            </span>
+                          )}
+                          {hasCreditLimit(debt) && (
+                            <span className="block text-xs text-gray-600">
+                              {Math.round(getUtilization(debt.balance, debt.creditLimit))}% of ${debt.creditLimit.toLocaleString('en-US', { maximumFractionDigits: 0 })} limit
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-md py-sm whitespace-nowrap text-regular text-bright-blue font-medium text-right">
+                          ${debt.minPayment.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+                          {debt.isCreditCard && (
+                            <span className="block text-xs font-normal text-gray-600">
+                              {describeMinimumRule(debt.minimumRule)}
+                            </span>
+                          )}
+                          {debt.loanTerms && (
+                            <span className="block text-xs font-normal text-gray-600">
+                              {debt.loanTerms.termMonths}-month loan
+                            </span>
+                          )}
+                          {debt.studentLoan && (
+                            <span className="block text-xs font-normal text-gray-600">
+                              {describeStudentLoan(debt.studentLoan)}
+                            </span>
+                          )}
+                          {debt.mortgage && (
+                            <span className="block text-xs font-normal text-gray-600">
+                              {describeMortgage(debt.mortgage)}
+                            </span>
+                          )}
+                          {isInterestDeductible(debt) && (
+                            <span className="block text-xs font-normal text-gray-600">
+                              {debt.interestDeduction === 'studentLoan' ? 'Student loan interest deduction' : 'Interest tax deductible'}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-md py-sm whitespace-nowrap text-right">
+                          <div className="flex justify-end space-x-xs">
+                            <button
+                              onClick={() => handleDelete(debt.id)}
+                              className="px-sm py-xs bg-light-gray-blue text-navy-blue text-small rounded-md hover:bg-bright-blue hover:text-white transition-colors duration-200"
+                            >
+                              Delete
+                            </button>
+                            <button 
+                              onClick={() => handleEdit(debt)}
+                              className="px-sm py-xs text-small bg-light-gray-blue text-navy-blue rounded-md hover:bg-bright-blue hover:text-white transition-colors duration-200"
+                            >
+                              Edit
+                            </button>
+                            {debt.loanTerms && (
+                              <button 
+                                onClick={() => setScheduleDebtId(scheduleDebtId === debt.id ? null : debt.id)}
+                                className="px-sm py-xs text-small bg-light-gray-blue text-navy-blue rounded-md hover:bg-bright-blue hover:text-white transition-colors duration-200"
+                              >
+                                {scheduleDebtId === debt.id ? 'Hide Schedule' : 'Schedule'}
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                      {scheduleDebtId === debt.id && debt.loanTerms && (
+                        <tr>
+                          <td colSpan="6" className="px-md py-sm">
+                            <AmortizationTable debt={debt} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </>
           ) : (
             <div className="p-xl text-center text-navy-blue">
               No debts added yet. Add your first debt to get started.
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
+import { formatMonthYear } from '../utils/dates';
 
 export default function DetailedPlan() {
   const { state } = useApp();
@@ -24,20 +25,66 @@ export default function DetailedPlan() {
     switch (selectedStrategy) {
       case 'minimum': return 'Minimum Payments Only';
       case 'avalanche': return 'Avalanche Method';
+      case 'afterTaxAvalanche': return 'After-Tax Avalanche Method';
       case 'snowball': return 'Snowball Method';
+      case 'custom': return 'Custom Order Method';
       default: return 'Selected Strategy';
     }
   };
 
-  // Filter payments based on selected frequency
+  const paysMoreThanMonthly = strategyResults.paymentFrequency !== 'monthly';
+  const showsRealDollars = strategyResults.discountRate > 0;
+
+  // Which period a month falls in: itself, a six-month block of the plan, or
+  // its calendar year
+  const getPeriodKey = (month, index) => {
+    if (viewFrequency === 'yearly') return month.date.slice(0, 4);
+    if (viewFrequency === 'biannual') return Math.floor(index / 6);
+    return index;
+  };
+
+  // Group the schedule into periods. Payments add up over the period
+  // (including every biweekly or semi-monthly payment made in it) and
+  // balances are taken at the end of the period
   const getFilteredPayments = () => {
-    if (viewFrequency === 'monthly') {
-      return strategyResults.monthlyPayments;
-    } else if (viewFrequency === 'biannual') {
-      return strategyResults.monthlyPayments.filter((_, index) => index % 6 === 0);
-    } else { // yearly
-      return strategyResults.monthlyPayments.filter((_, index) => index % 12 === 0);
-    }
+    const periods = [];
+
+    strategyResults.monthlyPayments.forEach((month, index) => {
+      const countPayments = month.paymentDays ? month.paymentDays.length : 1;
+      const key = getPeriodKey(month, index);
+      if (periods.length === 0 || periods[periods.length - 1].key !== key) {
+        periods.push({
+          key,
+          firstMonth: month.month,
+          firstDate: month.date,
+          month: month.month,
+          date: month.date,
+          paymentCount: countPayments,
+          debtPayments: month.debtPayments.map(debtPayment => ({ ...debtPayment })),
+          totalPaid: month.totalPaid,
+          remainingDebt: month.remainingDebt,
+          realRemainingDebt: month.realRemainingDebt
+        });
+        return;
+      }
+
+      const period = periods[periods.length - 1];
+      period.month = month.month;
+      period.date = month.date;
+      period.paymentCount += countPayments;
+      period.debtPayments.forEach((debtPayment, i) => {
+        const next = month.debtPayments[i];
+        debtPayment.payment += next.payment;
+        debtPayment.minimumPayment += next.minimumPayment;
+        debtPayment.balance = next.balance;
+        debtPayment.realBalance = next.realBalance;
+      });
+      period.totalPaid = month.totalPaid;
+      period.remainingDebt = month.remainingDebt;
+      period.realRemainingDebt = month.realRemainingDebt;
+    });
+
+    return periods;
   };
 
   const filteredPayments = getFilteredPayments();
@@ -125,15 +172,18 @@ export default function DetailedPlan() {
             <tbody className="divide-y divide-light-gray-blue">
               {filteredPayments.map((payment, index) => {
                 const periodLabel = viewFrequency === 'monthly' 
-                  ? index + 1
+                  ? formatMonthYear(payment.date)
                   : viewFrequency === 'biannual' 
-                    ? `Month ${(index * 6) + 1}`
-                    : `Year ${Math.floor(index * 12 / 12) + 1}`;
+                    ? `${formatMonthYear(payment.firstDate)} – ${formatMonthYear(payment.date)}`
+                    : payment.key;
                 
                 return (
                   <tr key={index} className="hover:bg-soft-blue">
                     <td className="px-md py-sm text-regular font-medium text-navy-blue sticky left-0 bg-white hover:bg-soft-blue">
                       {periodLabel}
+                      {paysMoreThanMonthly && (
+                        <div className="text-xs font-normal text-navy-blue">{payment.paymentCount} payments</div>
+                      )}
                     </td>
                     
                     {payment.debtPayments.map((debtPayment, i) => {
@@ -161,6 +211,9 @@ export default function DetailedPlan() {
                             justPaidOff ? 'text-bright-green font-bold' : 'text-navy-blue'
                           }`}>
                             {formatCurrency(debtPayment.balance)}
+                            {showsRealDollars && debtPayment.balance > 0 && (
+                              <div className="text-xs font-normal text-gray-600">{formatCurrency(debtPayment.realBalance)} today</div>
+                            )}
                             {justPaidOff && (
                               <span className="ml-xs text-xs bg-bright-green text-white px-xs py-xs rounded-sm">
                                 PAID!
@@ -176,6 +229,9 @@ export default function DetailedPlan() {
                     </td>
                     <td className="px-md py-sm text-right whitespace-nowrap text-navy-blue">
                       {formatCurrency(payment.remainingDebt)}
+                      {showsRealDollars && (
+                        <div className="text-xs text-gray-600">{formatCurrency(payment.realRemainingDebt)} today</div>
+                      )}
                     </td>
                   </tr>
                 );
@@ -189,10 +245,16 @@ export default function DetailedPlan() {
             <div>
               <p className="text-navy-blue font-medium">Total Paid: <span className="text-bright-blue font-bold">{formatCurrency(strategyResults.totalPaid)}</span></p>
               <p className="text-navy-blue font-medium">Total Interest: <span className="text-orange font-bold">{formatCurrency(strategyResults.totalInterest)}</span></p>
+              {showsRealDollars && (
+                <p className="text-navy-blue font-medium">In Today's Dollars: <span className="text-bright-blue font-bold">{formatCurrency(strategyResults.presentValueTotalPaid)}</span> paid, <span className="text-orange font-bold">{formatCurrency(strategyResults.presentValueTotalInterest)}</span> interest</p>
+              )}
             </div>
             <div>
               <p className="text-navy-blue font-medium">Months to Debt-Free: <span className="text-bright-blue font-bold">{strategyResults.months}</span></p>
               <p className="text-navy-blue font-medium">Years to Debt-Free: <span className="text-bright-blue font-bold">{(strategyResults.months / 12).toFixed(1)}</span></p>
+              {strategyResults.debtFreeDate && (
+                <p className="text-navy-blue font-medium">Debt-Free By: <span className="text-bright-blue font-bold">{formatMonthYear(strategyResults.debtFreeDate)}</span></p>
+              )}
             </div>
           </div>
         </div>
@@ -215,6 +277,11 @@ export default function DetailedPlan() {
             </span>
             <strong className="text-bright-green">PAID! tag</strong> indicates when a debt is completely paid off.
           </p>
+          {paysMoreThanMonthly && (
+            <p>
+              <strong>{strategyResults.paymentFrequency === 'biweekly' ? 'Biweekly' : 'Semi-monthly'} payments:</strong> Each row adds up every payment made in that period, so some months show three biweekly payments instead of two.
+            </p>
+          )}
           {selectedStrategy !== 'minimum' && (
             <p>
               <strong>How rollover works:</strong> When one debt is paid off, its minimum payment amount "rolls over" and is added to the extra payment for the next debt in line, accelerating your progress.
@@ -225,11 +292,21 @@ export default function DetailedPlan() {
               <strong>Avalanche Method:</strong> Your extra payment targets the highest interest rate debt first, saving you the most money in interest over time.
             </p>
           )}
+          {selectedStrategy === 'afterTaxAvalanche' && (
+            <p>
+              <strong>After-Tax Avalanche:</strong> Your extra payment targets the highest interest rate after taxes first. Deductible interest is discounted by your marginal tax rate, so those debts may move down the list.
+            </p>
+          )}
           {selectedStrategy === 'snowball' && (
             <p>
               <strong>Snowball Method:</strong> Your extra payment targets the smallest balance debt first, giving you quick wins to maintain motivation.
             </p>
           )}
+          {selectedStrategy === 'custom' && (
+            <p>
+              <strong>Custom Order:</strong> Your extra payment targets debts in the order you arranged them on the debt list.
+            </p>
+          )}
         </div>
       </div>
     </div>
@@ -1,32 +1,82 @@
-import React, { useState } from 'react';
-import { useForm } from 'react-hook-form';
+import React, { useState, useEffect } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
 import { useApp } from '../context/AppContext';
+import MinimumPaymentRule from './MinimumPaymentRule';
+import CardSpendingFields from './CardSpendingFields';
+import LoanTermsFields from './LoanTermsFields';
+import StudentLoanFields from './StudentLoanFields';
+import MortgageFields from './MortgageFields';
+import { DEFAULT_STUDENT_LOAN } from '../utils/studentLoans';
+import { DEFAULT_MORTGAGE } from '../utils/mortgages';
+import { INTEREST_DEDUCTION_OPTIONS } from '../utils/taxes';
+import { buildDebtPayload } from '../utils/debtPayload';
 
 export default function EditDebtForm({ debt, onCancel }) {
   const [isCreditCard, setIsCreditCard] = useState(debt.isCreditCard);
-  const { register, handleSubmit, reset, formState: { errors }, setValue, unregister } = useForm({
+  const [hasPromo, setHasPromo] = useState(debt.promoMonths > 0);
+  const [useLoanTerms, setUseLoanTerms] = useState(!!debt.loanTerms);
+  const [isStudentLoan, setIsStudentLoan] = useState(!!debt.studentLoan);
+  const [isMortgage, setIsMortgage] = useState(!!debt.mortgage);
+  const { register, handleSubmit, reset, control, watch, formState: { errors }, setValue, unregister } = useForm({
     defaultValues: {
       name: debt.name,
       apr: debt.apr,
       balance: debt.balance,
       minPayment: debt.minPayment,
-      isCreditCard: debt.isCreditCard
+      isCreditCard: debt.isCreditCard,
+      promoApr: debt.promoMonths > 0 ? debt.promoApr : '',
+      promoMonths: debt.promoMonths > 0 ? debt.promoMonths : '',
+      deferredInterest: !!debt.deferredInterest,
+      interestMethod: debt.interestMethod || 'monthly',
+      minimumRule: debt.minimumRule || { preset: 'standard' },
+      monthlyFee: debt.monthlyFee || '',
+      monthlySpending: debt.monthlySpending || '',
+      payInFull: !!debt.payInFull,
+      creditLimit: debt.creditLimit || '',
+      loanTerms: debt.loanTerms || { originalPrincipal: '', termMonths: '', paymentsMade: '' },
+      studentLoan: { ...DEFAULT_STUDENT_LOAN, ...debt.studentLoan },
+      mortgage: { ...DEFAULT_MORTGAGE, ...debt.mortgage },
+      interestDeduction: debt.interestDeduction || 'none',
+      rateSchedule: debt.rateSchedule || []
     }
   });
+  const { fields: rateChanges, append: addRateChange, remove: removeRateChange } = useFieldArray({
+    control,
+    name: 'rateSchedule'
+  });
   
   const { dispatch } = useApp();
+  
+  // Income-driven plans set the payment from income, so there's nothing to type in
+  const usesIdr = !isCreditCard && isStudentLoan && watch('studentLoan.repaymentPlan') === 'idr';
+  useEffect(() => {
+    if (usesIdr) {
+      unregister('minPayment');
+    }
+  }, [usesIdr, unregister]);
 
-  // Calculate credit card minimum payment
-  const calculateCreditCardMinimum = (balance, apr) => {
-    const monthlyInterestRate = apr / 100 / 12;
-    const monthlyInterest = balance * monthlyInterestRate;
-    const percentageOfBalance = balance * 0.01; // 1% of balance
-    const calculatedMinimum = percentageOfBalance + monthlyInterest;
-    
-    // Most credit cards have a minimum of $25 or the full balance if less than $25
-    const fixedMinimum = balance < 25 ? balance : 25;
+  // A loan is a student loan or a mortgage, not both. Turning either on
+  // suggests how its interest is usually deducted.
+  const handleStudentLoanToggle = () => {
+    setIsStudentLoan(!isStudentLoan);
+    setIsMortgage(false);
+    if (!isStudentLoan) setValue('interestDeduction', 'studentLoan');
+  };
+
+  const handleMortgageToggle = () => {
+    setIsMortgage(!isMortgage);
+    setIsStudentLoan(false);
+    if (!isMortgage) setValue('interestDeduction', 'full');
+  };
+
+  // Switch between typing the payment and deriving it from the loan terms
+  const handleLoanTermsToggle = () => {
+    const newValue = !useLoanTerms;
+    setUseLoanTerms(newValue);
     
-    return Math.max(calculatedMinimum, fixedMinimum);
+    if (newValue) {
+      unregister('minPayment');
+    }
   };
 
   // Handle toggle of credit card
@@ -44,24 +94,9 @@ export default function EditDebtForm({ debt, onCancel }) {
   };
 
   const onSubmit = (data) => {
-    const balance = parseFloat(data.balance);
-    const apr = parseFloat(data.apr);
-    
-    // If it's a credit card, calculate the minimum payment
-    const minPayment = isCreditCard 
-      ? calculateCreditCardMinimum(balance, apr)
-      : parseFloat(data.minPayment);
-
     dispatch({
       type: 'UPDATE_DEBT',
-      payload: {
-        id: debt.id,
-        name: data.name,
-        apr: apr,
-        balance: balance,
-        minPayment: minPayment,
-        isCreditCard: isCreditCard
-      }
+      payload: { id: debt.id, ...buildDebtPayload(data, { isCreditCard, hasPromo, useLoanTerms, isStudentLoan, isMortgage }) }
     });
     
     onCancel();
@@ -155,19 +190,55 @@ export default function EditDebtForm({ debt, onCancel }) {
             <label htmlFor="minPayment" className="block text-small font-medium text-navy-blue mb-xs">
               Minimum Monthly Payment ($)
             </label>
+            {usesIdr ? (
+              <p className="text-small text-gray-600">Set by your income-driven repayment plan below.</p>
+            ) : useLoanTerms ? (
+              <LoanTermsFields register={register} watch={watch} errors={errors} />
+            ) : (
+              <input
+                type="number"
+                step="0.01"
+                id="minPayment"
+                placeholder="e.g., 50"
+                {...register('minPayment', { 
+                  required: 'Minimum payment is required',
+                  min: { value: 0, message: 'Payment must be positive' }
+                })}
+                className="w-full"
+              />
+            )}
+            {!useLoanTerms && !usesIdr && errors.minPayment && (
+              <p className="mt-xs text-small text-orange">{errors.minPayment.message}</p>
+            )}
+            {!usesIdr && (
+              <button
+                type="button"
+                onClick={handleLoanTermsToggle}
+                className="mt-xs text-small text-bright-blue underline"
+              >
+                {useLoanTerms ? 'Enter my payment instead' : 'Calculate from loan amount and term'}
+              </button>
+            )}
+          </div>
+        )}
+        
+        {isCreditCard && (
+          <div>
+            <label htmlFor="creditLimit" className="block text-small font-medium text-navy-blue mb-xs">
+              Credit Limit ($)
+            </label>
             <input
               type="number"
               step="0.01"
-              id="minPayment"
-              placeholder="e.g., 50"
-              {...register('minPayment', { 
-                required: 'Minimum payment is required',
-                min: { value: 0, message: 'Payment must be positive' }
+              id="creditLimit"
+              placeholder="Optional, for credit utilization"
+              {...register('creditLimit', {
+                min: { value: 0, message: 'Credit limit must be positive' }
               })}
               className="w-full"
             />
-            {errors.minPayment && (
-              <p className="mt-xs text-small text-orange">{errors.minPayment.message}</p>
+            {errors.creditLimit && (
+              <p className="mt-xs text-small text-orange">{errors.creditLimit.message}</p>
             )}
           </div>
         )}
@@ -177,19 +248,216 @@ export default function EditDebtForm({ debt, onCancel }) {
             <label className="block text-small font-medium text-navy-blue mb-xs">
               Minimum Payment
             </label>
-            <div className="border border-bright-blue bg-soft-blue rounded-md p-md text-navy-blue shadow-sm">
-              <p className="font-medium text-bright-blue mb-xs">Automatically calculated based on your balance</p>
-              <p className="mb-sm">For credit cards, the minimum payment is calculated as:</p>
-              <ul className="list-disc list-inside text-small mb-sm">
-                <li>1% of your current balance <strong>plus</strong> monthly interest</li>
-                <li>Or $25, whichever is higher (unless balance is lower)</li>
-              </ul>
-              <p className="text-xs italic">You don't need to enter this — we'll calculate it for you!</p>
+            <MinimumPaymentRule register={register} watch={watch} errors={errors} />
+          </div>
+        )}
+        
+        {isCreditCard && (
+          <div>
+            <label className="block text-small font-medium text-navy-blue mb-xs">
+              New Card Spending
+            </label>
+            <CardSpendingFields register={register} watch={watch} errors={errors} />
+          </div>
+        )}
+      </div>
+
+      {!isCreditCard && (
+        <div className="p-md border border-light-gray-blue rounded-md">
+          <label className="flex items-center text-small font-medium text-navy-blue">
+            <input
+              type="checkbox"
+              className="mr-xs"
+              style={{ width: 'auto', display: 'inline-block' }}
+              checked={isStudentLoan}
+              onChange={handleStudentLoanToggle}
+            />
+            This is a federal student loan
+          </label>
+          
+          {isStudentLoan && (
+            <div className="mt-md">
+              <StudentLoanFields register={register} watch={watch} errors={errors} />
+            </div>
+          )}
+          
+          <label className="flex items-center text-small font-medium text-navy-blue mt-md">
+            <input
+              type="checkbox"
+              className="mr-xs"
+              style={{ width: 'auto', display: 'inline-block' }}
+              checked={isMortgage}
+              onChange={handleMortgageToggle}
+            />
+            This is a mortgage
+          </label>
+          
+          {isMortgage && (
+            <div className="mt-md">
+              <MortgageFields register={register} watch={watch} errors={errors} useLoanTerms={useLoanTerms} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {!isCreditCard && (
+        <div>
+          <label htmlFor="interestDeduction" className="block text-small font-medium text-navy-blue mb-xs">
+            Interest Tax Deduction
+          </label>
+          <select id="interestDeduction" {...register('interestDeduction')} className="w-full">
+            {Object.entries(INTEREST_DEDUCTION_OPTIONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="interestMethod" className="block text-small font-medium text-navy-blue mb-xs">
+          Interest Calculation
+        </label>
+        <select id="interestMethod" {...register('interestMethod')} className="w-full">
+          <option value="monthly">Simple monthly (APR ÷ 12 each month)</option>
+          <option value="daily">Daily balance (APR ÷ 365 × days in billing cycle)</option>
+        </select>
+      </div>
+
+      <div className="p-md border border-light-gray-blue rounded-md">
+        <label className="flex items-center text-small font-medium text-navy-blue">
+          <input
+            type="checkbox"
+            className="mr-xs"
+            style={{ width: 'auto', display: 'inline-block' }}
+            checked={hasPromo}
+            onChange={() => setHasPromo(!hasPromo)}
+          />
+          This debt has an intro / promotional rate
+        </label>
+        
+        {hasPromo && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-md mt-md">
+            <div>
+              <label htmlFor="promoApr" className="block text-small font-medium text-navy-blue mb-xs">
+                Intro Rate (%)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                id="promoApr"
+                placeholder="e.g., 0"
+                {...register('promoApr', { 
+                  required: 'Intro rate is required',
+                  min: { value: 0, message: 'Rate must be positive' }
+                })}
+                className="w-full"
+              />
+              {errors.promoApr && (
+                <p className="mt-xs text-small text-orange">{errors.promoApr.message}</p>
+              )}
             </div>
+            
+            <div>
+              <label htmlFor="promoMonths" className="block text-small font-medium text-navy-blue mb-xs">
+                Intro Rate Ends After (months)
+              </label>
+              <input
+                type="number"
+                step="1"
+                id="promoMonths"
+                placeholder="e.g., 12"
+                {...register('promoMonths', { 
+                  required: 'Promo length is required',
+                  min: { value: 1, message: 'Promo must last at least 1 month' }
+                })}
+                className="w-full"
+              />
+              {errors.promoMonths && (
+                <p className="mt-xs text-small text-orange">{errors.promoMonths.message}</p>
+              )}
+            </div>
+            
+            <label className="flex items-start text-small text-navy-blue md:col-span-2">
+              <input
+                type="checkbox"
+                className="mr-xs mt-1"
+                style={{ width: 'auto', display: 'inline-block' }}
+                {...register('deferredInterest')}
+              />
+              <span>
+                Deferred interest: if the balance isn't paid off by the end of the promo,
+                all the interest from the promo period is charged at once.
+              </span>
+            </label>
           </div>
         )}
       </div>
 
+      <div className="p-md border border-light-gray-blue rounded-md">
+        <p className="text-small font-medium text-navy-blue">Scheduled Rate Changes</p>
+        <p className="text-xs text-gray-600 mb-md">
+          For variable-rate debts, enter when the APR resets and what it becomes.
+        </p>
+        
+        {rateChanges.map((field, index) => (
+          <div key={field.id} className="grid grid-cols-1 md:grid-cols-3 gap-md items-end mb-md">
+            <div>
+              <label htmlFor={`edit-rateSchedule-${index}-month`} className="block text-small font-medium text-navy-blue mb-xs">
+                Starting Month
+              </label>
+              <input
+                type="number"
+                step="1"
+                id={`edit-rateSchedule-${index}-month`}
+                placeholder="e.g., 13"
+                {...register(`rateSchedule.${index}.month`, { 
+                  required: 'Month is required',
+                  min: { value: 1, message: 'Month must be 1 or later' }
+                })}
+                className="w-full"
+              />
+              {errors.rateSchedule?.[index]?.month && (
+                <p className="mt-xs text-small text-orange">{errors.rateSchedule[index].month.message}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor={`edit-rateSchedule-${index}-apr`} className="block text-small font-medium text-navy-blue mb-xs">
+                New APR (%)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                id={`edit-rateSchedule-${index}-apr`}
+                placeholder="e.g., 9.5"
+                {...register(`rateSchedule.${index}.apr`, { 
+                  required: 'APR is required',
+                  min: { value: 0, message: 'APR must be positive' }
+                })}
+                className="w-full"
+              />
+              {errors.rateSchedule?.[index]?.apr && (
+                <p className="mt-xs text-small text-orange">{errors.rateSchedule[index].apr.message}</p>
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={() => removeRateChange(index)}
+              className="btn-secondary"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        
+        <button
+          type="button"
+          onClick={() => addRateChange({ month: '', apr: '' })}
+          className="btn-secondary text-small"
+        >
+          + Add Rate Change
+        </button>
+      </div>
+
       <div className="flex space-x-md">
         <button
           type="submit"
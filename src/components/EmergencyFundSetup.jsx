@@ -0,0 +1,130 @@
+import React from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+import { DEFAULT_EMERGENCY_FUND, normalizeEmergencyFund } from '../utils/emergencyFund';
+
+export default function EmergencyFundSetup() {
+  const { state, dispatch } = useApp();
+  const { emergencyFund } = state;
+  const { register, handleSubmit, watch, formState: { errors } } = useForm({
+    // A saved fund without an emergency keeps the default month for the form
+    defaultValues: emergencyFund ? {
+      ...emergencyFund,
+      emergencyMonth: emergencyFund.emergencyMonth || DEFAULT_EMERGENCY_FUND.emergencyMonth,
+      emergencyAmount: emergencyFund.emergencyAmount || ''
+    } : DEFAULT_EMERGENCY_FUND
+  });
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+  };
+
+  const onSubmit = (data) => {
+    dispatch({ type: 'SET_EMERGENCY_FUND', payload: normalizeEmergencyFund(data) });
+  };
+
+  const handleRemove = () => {
+    dispatch({ type: 'SET_EMERGENCY_FUND', payload: null });
+  };
+
+  const stillToSave = Math.max(0, (parseFloat(watch('target')) || 0) - (parseFloat(watch('startingBalance')) || 0));
+  const hasEmergency = (parseFloat(watch('emergencyAmount')) || 0) > 0;
+
+  return (
+    <div className="extra-payments-section">
+      <h3 className="extra-payments-title">Emergency Fund First</h3>
+      <p className="text-sm mb-4" style={{ color: '#333' }}>
+        Without savings, a surprise bill ends up back on a credit card. Set a savings target and your extra money builds it up before any goes to extra debt payments.
+      </p>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-md p-4" style={{ border: '1px solid #e0e0e0' }}>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="form-group">
+            <label htmlFor="emergencyTarget" className="form-label">Savings Target ($)</label>
+            <input
+              type="number"
+              step="0.01"
+              id="emergencyTarget"
+              {...register('target', {
+                required: 'Target is required',
+                min: { value: 0, message: 'Target must be positive' }
+              })}
+            />
+            {errors.target && (
+              <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.target.message}</p>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="emergencyStartingBalance" className="form-label">Savings Today ($)</label>
+            <input
+              type="number"
+              step="0.01"
+              id="emergencyStartingBalance"
+              {...register('startingBalance', {
+                min: { value: 0, message: 'Savings must be positive' }
+              })}
+            />
+            {errors.startingBalance && (
+              <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.startingBalance.message}</p>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="emergencyAmount" className="form-label">Simulated Emergency ($)</label>
+            <input
+              type="number"
+              step="0.01"
+              id="emergencyAmount"
+              placeholder="Leave blank for none"
+              {...register('emergencyAmount', {
+                min: { value: 0, message: 'Amount must be positive' }
+              })}
+            />
+            {errors.emergencyAmount && (
+              <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.emergencyAmount.message}</p>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="emergencyMonth" className="form-label">Emergency in Month</label>
+            <input
+              type="number"
+              step="1"
+              id="emergencyMonth"
+              disabled={!hasEmergency}
+              {...register('emergencyMonth', {
+                min: { value: 1, message: 'Month must be 1 or later' }
+              })}
+            />
+            {errors.emergencyMonth && (
+              <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.emergencyMonth.message}</p>
+            )}
+          </div>
+        </div>
+
+        <label className="flex items-center text-sm mb-4" style={{ color: '#333' }}>
+          <input type="checkbox" className="mr-2" style={{ width: 'auto', display: 'inline-block' }} {...register('refill')} />
+          Refill savings after an emergency before going back to extra debt payments
+        </label>
+
+        <p className="text-sm mb-4" style={{ color: '#666' }}>
+          {stillToSave > 0
+            ? `${formatCurrency(stillToSave)} to save before extra payments start. Your minimum payments continue as usual.`
+            : 'Your savings already meet the target, so extra payments start right away.'}
+        </p>
+
+        <div className="flex space-x-4">
+          <button type="submit" className="btn-primary flex-1 py-3 rounded-md">
+            {emergencyFund ? 'Update Emergency Fund' : 'Build Emergency Fund First'}
+          </button>
+          {emergencyFund && (
+            <button type="button" onClick={handleRemove} className="btn-secondary px-6 rounded-md">
+              Remove
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+import { solveExtraPaymentGoal } from '../utils/goalSeek';
+import { getMortgageIds } from '../utils/mortgages';
+
+const STRATEGY_TITLES = {
+  avalanche: 'Debt Avalanche',
+  snowball: 'Debt Snowball',
+  custom: 'Custom Order'
+};
+
+export default function ExtraPaymentGoal({ onUseAmount }) {
+  const { state } = useApp();
+  const [solutions, setSolutions] = useState(null);
+  const { register, handleSubmit, watch, formState: { errors } } = useForm({
+    defaultValues: { type: 'months', targetMonths: 36, maxInterest: '' }
+  });
+  const type = watch('type');
+
+  const formatCurrency = (amount) => {
+    return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+  };
+
+  const onSubmit = (data) => {
+    const goal = data.type === 'interest'
+      ? { type: 'interest', maxInterest: parseFloat(data.maxInterest) }
+      : { type: 'months', targetMonths: parseInt(data.targetMonths, 10) };
+    setSolutions(solveExtraPaymentGoal(state.debts, goal, {
+      oneTimePayments: state.oneTimePayments,
+      extraPaymentSchedule: state.extraPaymentSchedule,
+      startDate: state.planStartDate,
+      paymentFrequency: state.paymentFrequency,
+      excludedDebtIds: state.excludeMortgageFromExtra ? getMortgageIds(state.debts) : [],
+      emergencyFund: state.emergencyFund
+    }));
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit(onSubmit)}>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="form-group">
+            <label htmlFor="goalType" className="form-label">My Goal</label>
+            <select id="goalType" {...register('type')}>
+              <option value="months">Be debt-free within</option>
+              <option value="interest">Keep total interest under</option>
+            </select>
+          </div>
+
+          {type === 'months' ? (
+            <div className="form-group">
+              <label htmlFor="goalMonths" className="form-label">Months</label>
+              <input
+                type="number"
+                step="1"
+                id="goalMonths"
+                placeholder="e.g., 36"
+                {...register('targetMonths', {
+                  required: 'Target is required',
+                  min: { value: 1, message: 'Target must be at least 1 month' }
+                })}
+              />
+              {errors.targetMonths && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.targetMonths.message}</p>
+              )}
+            </div>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="goalInterest" className="form-label">Total Interest ($)</label>
+              <input
+                type="number"
+                step="1"
+                id="goalInterest"
+                placeholder="e.g., 2000"
+                {...register('maxInterest', {
+                  required: 'Interest cap is required',
+                  min: { value: 0, message: 'Interest cap must be positive' }
+                })}
+              />
+              {errors.maxInterest && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.maxInterest.message}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <button type="submit" className="btn-primary w-full py-3 rounded-md" disabled={state.debts.length === 0}>
+          Find My Extra Payment
+        </button>
+      </form>
+
+      {solutions && (
+        <div className="rounded-md mt-4 bg-white" style={{ border: '1px solid #e0e0e0' }}>
+          <table className="min-w-full">
+            <tbody>
+              {Object.entries(solutions).map(([strategy, solution]) => (
+                <tr key={strategy} style={{ borderBottom: '1px solid #e0e0e0' }}>
+                  <td className="px-4 py-3 text-sm font-medium" style={{ color: '#333' }}>{STRATEGY_TITLES[strategy]}</td>
+                  {solution ? (
+                    <>
+                      <td className="px-4 py-3 text-sm text-right" style={{ color: '#333' }}>
+                        <strong>{formatCurrency(solution.extraPayment)}</strong>/mo extra
+                        <div className="text-xs" style={{ color: '#666' }}>
+                          {solution.plan.months} months, {formatCurrency(solution.plan.totalInterest)} interest
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 text-right whitespace-nowrap">
+                        <button
+                          type="button"
+                          onClick={() => onUseAmount(solution.extraPayment)}
+                          className="btn-secondary px-3 py-1 text-sm rounded-md"
+                        >
+                          Use
+                        </button>
+                      </td>
+                    </>
+                  ) : (
+                    <td colSpan="2" className="px-4 py-3 text-sm text-right" style={{ color: '#f44336' }}>
+                      Not reachable, even paying everything off in the first month
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
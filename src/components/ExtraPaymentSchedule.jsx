@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+import { describeScheduleEntry, getExtraPaymentTimeline } from '../utils/extraPaymentSchedule';
+
+const EMPTY_ENTRY = { type: 'change', month: '', amount: '', percent: '', everyMonths: 12, endMonth: '' };
+
+export default function ExtraPaymentSchedule() {
+  const { state, dispatch } = useApp();
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm({
+    defaultValues: EMPTY_ENTRY
+  });
+  const type = watch('type');
+
+  const sortedEntries = [...state.extraPaymentSchedule].sort((a, b) => a.month - b.month);
+  const timeline = getExtraPaymentTimeline(state.extraMonthlyPayment, state.extraPaymentSchedule, 60);
+
+  const formatCurrency = (amount) => {
+    return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  };
+
+  const closeForm = () => {
+    reset(EMPTY_ENTRY);
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const handleEdit = (entry) => {
+    reset({ ...EMPTY_ENTRY, ...entry });
+    setEditingId(entry.id);
+    setShowForm(true);
+  };
+
+  const handleDelete = (id) => {
+    dispatch({ type: 'DELETE_EXTRA_PAYMENT_CHANGE', payload: id });
+    if (editingId === id) {
+      closeForm();
+    }
+  };
+
+  const onSubmit = (data) => {
+    const month = parseInt(data.month, 10);
+    let entry;
+    if (data.type === 'raise') {
+      entry = { type: 'raise', month, percent: parseFloat(data.percent), everyMonths: parseInt(data.everyMonths, 10) };
+    } else if (data.type === 'pause') {
+      entry = { type: 'pause', month, endMonth: parseInt(data.endMonth, 10) };
+    } else {
+      entry = { type: 'change', month, amount: parseFloat(data.amount) };
+    }
+
+    if (editingId !== null) {
+      dispatch({ type: 'UPDATE_EXTRA_PAYMENT_CHANGE', payload: { ...entry, id: editingId } });
+    } else {
+      dispatch({ type: 'ADD_EXTRA_PAYMENT_CHANGE', payload: entry });
+    }
+    closeForm();
+  };
+
+  return (
+    <div className="extra-payments-section">
+      <h3 className="extra-payments-title">Extra Payment Changes</h3>
+      <p className="text-sm mb-4" style={{ color: '#333' }}>
+        Expecting a raise, a new bill or a tight stretch? Schedule changes to your extra payment and the plan will follow them.
+      </p>
+
+      {sortedEntries.length > 0 && (
+        <>
+          <div className="rounded-md mb-4 bg-white" style={{ border: '1px solid #e0e0e0' }}>
+            <table className="min-w-full">
+              <tbody>
+                {sortedEntries.map(entry => (
+                  <tr key={entry.id} style={{ borderBottom: '1px solid #e0e0e0' }}>
+                    <td className="px-4 py-3 text-sm font-medium" style={{ color: '#333' }}>{describeScheduleEntry(entry)}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => handleEdit(entry)}
+                        className="btn-secondary px-3 py-1 text-sm rounded-md mr-2"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(entry.id)}
+                        className="btn-secondary px-3 py-1 text-sm rounded-md"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="rounded-md p-4 mb-4" style={{ backgroundColor: '#bbdefb', border: '1px solid #e0e0e0', color: '#333' }}>
+            <p className="text-xs font-medium mb-2">Your extra payment over the first five years</p>
+            <ul className="text-xs space-y-1">
+              {timeline.map(run => (
+                <li key={run.fromMonth}>
+                  {run.fromMonth === run.toMonth ? `Month ${run.fromMonth}` : `Months ${run.fromMonth}–${run.toMonth}`}:{' '}
+                  <strong>{formatCurrency(run.amount)}</strong>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+
+      {!showForm ? (
+        <button
+          type="button"
+          onClick={() => setShowForm(true)}
+          className="btn-primary w-full py-3 rounded-md"
+        >
+          Add Extra Payment Change
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-md p-4" style={{ border: '1px solid #e0e0e0' }}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-group">
+              <label htmlFor="scheduleType" className="form-label">Change</label>
+              <select id="scheduleType" {...register('type')}>
+                <option value="change">Raise or lower the extra payment</option>
+                <option value="raise">Percentage raise every few months</option>
+                <option value="pause">Pause extra payments</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="scheduleMonth" className="form-label">Starting Month</label>
+              <input
+                type="number"
+                step="1"
+                id="scheduleMonth"
+                placeholder="e.g., 7"
+                {...register('month', {
+                  required: 'Month is required',
+                  min: { value: 1, message: 'Month must be 1 or later' }
+                })}
+              />
+              {errors.month && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.month.message}</p>
+              )}
+            </div>
+
+            {type === 'change' && (
+              <div className="form-group">
+                <label htmlFor="scheduleAmount" className="form-label">Change in Extra Payment ($)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  id="scheduleAmount"
+                  placeholder="e.g., 100 or -50"
+                  {...register('amount', { required: 'Amount is required' })}
+                />
+                {errors.amount && (
+                  <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.amount.message}</p>
+                )}
+              </div>
+            )}
+
+            {type === 'raise' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor="schedulePercent" className="form-label">Raise (%)</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    id="schedulePercent"
+                    placeholder="e.g., 3"
+                    {...register('percent', {
+                      required: 'Percent is required',
+                      min: { value: 0.1, message: 'Raise must be positive' }
+                    })}
+                  />
+                  {errors.percent && (
+                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.percent.message}</p>
+                  )}
+                </div>
+                <div className="form-group">
+                  <label htmlFor="scheduleEvery" className="form-label">Every (months)</label>
+                  <input
+                    type="number"
+                    step="1"
+                    id="scheduleEvery"
+                    {...register('everyMonths', {
+                      required: 'Interval is required',
+                      min: { value: 1, message: 'Interval must be at least 1 month' }
+                    })}
+                  />
+                  {errors.everyMonths && (
+                    <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.everyMonths.message}</p>
+                  )}
+                </div>
+              </>
+            )}
+
+            {type === 'pause' && (
+              <div className="form-group">
+                <label htmlFor="scheduleEndMonth" className="form-label">Through Month</label>
+                <input
+                  type="number"
+                  step="1"
+                  id="scheduleEndMonth"
+                  placeholder="e.g., 12"
+                  {...register('endMonth', {
+                    required: 'End month is required',
+                    validate: value => parseInt(value, 10) >= parseInt(watch('month'), 10) || 'End month must be after the start'
+                  })}
+                />
+                {errors.endMonth && (
+                  <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.endMonth.message}</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="flex space-x-4">
+            <button type="submit" className="btn-primary flex-1 py-3 rounded-md">
+              {editingId !== null ? 'Save Changes' : 'Add Change'}
+            </button>
+            <button type="button" onClick={closeForm} className="btn-secondary px-6 rounded-md">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
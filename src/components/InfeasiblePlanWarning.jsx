@@ -0,0 +1,39 @@
+import React from 'react';
+
+// Explains why a plan never pays off, shared by StrategyCards and PlanDetails
+export default function InfeasiblePlanWarning({ reasons, compact = false }) {
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+  };
+
+  const describeReason = (reason) => {
+    if (reason.reason === 'payment-below-interest') {
+      return `${formatCurrency(reason.payment)} payment doesn't cover ${formatCurrency(reason.interest)} monthly interest, so the balance keeps growing`;
+    }
+    if (reason.reason === 'charges-exceed-payment') {
+      return `${formatCurrency(reason.payment)} payment doesn't keep up with ${formatCurrency(reason.newCharges)} of new charges plus ${formatCurrency(reason.interest)} interest each month`;
+    }
+    return `still owes ${formatCurrency(reason.balance)} after 100 years of payments`;
+  };
+
+  return (
+    <div className={`bg-red-50 border border-red-200 rounded-lg text-left ${compact ? 'p-3' : 'p-6'}`} role="alert">
+      <div className={`font-bold text-red-700 ${compact ? 'text-lg mb-1' : 'text-xl mb-2'}`}>⚠️ Never paid off</div>
+      <p className={`text-gray-700 ${compact ? 'text-xs mb-2' : 'text-sm mb-3'}`}>
+        With these payments the following debts never reach a zero balance:
+      </p>
+      <ul className={`space-y-1 ${compact ? 'text-xs' : 'text-sm'}`}>
+        {reasons.map(reason => (
+          <li key={reason.debtId} className="text-gray-700">
+            <span className="font-semibold text-red-700">{reason.debtName}:</span> {describeReason(reason)}
+          </li>
+        ))}
+      </ul>
+      {!compact && (
+        <p className="text-sm text-gray-600 mt-3">
+          Raise the payment on these debts, cut new card spending or add extra money each month to build a plan that ends.
+        </p>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
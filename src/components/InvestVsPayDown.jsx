@@ -0,0 +1,166 @@
+import React, { useMemo } from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+import { compareInvestmentSplits } from '../utils/investVsPayDown';
+import { formatMonthYear } from '../utils/dates';
+import { getMortgageIds } from '../utils/mortgages';
+
+// Limits on the return and years fields
+const MAX_RETURN = 50;
+const MAX_YEARS = 40;
+
+export default function InvestVsPayDown() {
+  const { state } = useApp();
+  const { debts, extraMonthlyPayment, oneTimePayments, planStartDate, excludeMortgageFromExtra } = state;
+  const { register, watch, formState: { errors } } = useForm({
+    mode: 'onChange',
+    defaultValues: { annualReturn: 7, horizonYears: 10 }
+  });
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(amount);
+  };
+
+  const annualReturn = parseFloat(watch('annualReturn'));
+  const horizonYears = Number(watch('horizonYears'));
+  // Same limits as the field rules, so an invalid value never reaches the comparison
+  const hasValidInputs = annualReturn >= 0 && annualReturn <= MAX_RETURN
+    && Number.isInteger(horizonYears) && horizonYears >= 1 && horizonYears <= MAX_YEARS;
+  const canCompare = debts.length > 0 && extraMonthlyPayment > 0;
+
+  // Every split is a full plan, so only rerun them when an input actually changes
+  const splits = useMemo(() => {
+    if (!canCompare || !hasValidInputs) return null;
+    return compareInvestmentSplits(debts, extraMonthlyPayment, {
+      annualReturn,
+      horizonMonths: horizonYears * 12,
+      startDate: planStartDate,
+      oneTimePayments,
+      excludedDebtIds: excludeMortgageFromExtra ? getMortgageIds(debts) : []
+    });
+  }, [debts, extraMonthlyPayment, oneTimePayments, planStartDate, excludeMortgageFromExtra, annualReturn, horizonYears, canCompare, hasValidInputs]);
+
+  const getSplitLabel = (debtShare) => `${debtShare}/${100 - debtShare}`;
+
+  const getVerdict = () => {
+    const best = splits.reduce((top, split) => split.finalNetWorth > top.finalNetWorth ? split : top);
+    const allToDebt = splits[0];
+    if (best === allToDebt) {
+      return `Paying down debt comes out ahead: at a ${annualReturn}% return, investing earns less than the interest it leaves on your debts.`;
+    }
+    return `Sending ${100 - best.debtShare}% of the extra to investments leaves you ${formatCurrency(best.finalNetWorth - allToDebt.finalNetWorth)} richer after ${horizonYears} years, if the ${annualReturn}% return holds. Returns aren't guaranteed; interest saved is.`;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-xl font-bold text-navy-blue mb-4 text-center">
+        Invest or Pay Down Debt?
+      </h3>
+      <p className="text-sm text-gray-600 text-center mb-6 max-w-2xl mx-auto">
+        Split your extra payment between the avalanche plan and an investment account. Each split spends the same each month;
+        whatever the debts don't take, including their payments once they're gone, is invested.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6 max-w-xl mx-auto">
+        <div>
+          <label htmlFor="investmentReturn" className="block text-sm font-medium text-navy-blue mb-1">Expected annual return (%)</label>
+          <input
+            type="number"
+            step="0.1"
+            id="investmentReturn"
+            {...register('annualReturn', {
+              required: 'Enter an expected return',
+              min: { value: 0, message: 'Return must be positive' },
+              max: { value: MAX_RETURN, message: `Return must be ${MAX_RETURN}% or less` }
+            })}
+          />
+          {errors.annualReturn && <p className="mt-1 text-xs text-orange">{errors.annualReturn.message}</p>}
+        </div>
+        <div>
+          <label htmlFor="investmentHorizon" className="block text-sm font-medium text-navy-blue mb-1">Years to compare</label>
+          <input
+            type="number"
+            step="1"
+            id="investmentHorizon"
+            {...register('horizonYears', {
+              required: 'Enter the years to compare',
+              validate: value => Number.isInteger(Number(value)) || 'Use whole years',
+              min: { value: 1, message: 'Compare at least 1 year' },
+              max: { value: MAX_YEARS, message: `Compare ${MAX_YEARS} years or fewer` }
+            })}
+          />
+          {errors.horizonYears && <p className="mt-1 text-xs text-orange">{errors.horizonYears.message}</p>}
+        </div>
+      </div>
+
+      {!canCompare ? (
+        <p className="text-sm text-gray-600 text-center">Add an extra monthly payment on the payment setup step to compare splits.</p>
+      ) : !splits ? (
+        <p className="text-sm text-gray-600 text-center">Fix the return and years above to compare splits.</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="px-4 py-3 text-left font-bold text-navy-blue">Debt / invest</th>
+                  {splits.map(split => (
+                    <th key={split.debtShare} className="px-4 py-3 text-right font-bold uppercase tracking-wide text-navy-blue">
+                      {getSplitLabel(split.debtShare)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Debt-free date</td>
+                  {splits.map(split => (
+                    <td key={split.debtShare} className={`px-4 py-3 text-right font-medium ${split.plan.feasible === false ? 'text-orange' : 'text-bright-green'}`}>
+                      {split.plan.debtFreeDate ? formatMonthYear(split.plan.debtFreeDate) : 'Never'}
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Interest paid</td>
+                  {splits.map(split => (
+                    <td key={split.debtShare} className="px-4 py-3 text-right font-medium text-orange">
+                      {formatCurrency(split.plan.totalInterest)}
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Investment growth</td>
+                  {splits.map(split => (
+                    <td key={split.debtShare} className="px-4 py-3 text-right font-medium text-bright-green">
+                      {formatCurrency(split.investmentGrowth)}
+                    </td>
+                  ))}
+                </tr>
+                {splits[0].timeline.filter(entry => entry.month % 12 === 0).map(entry => (
+                  <tr key={entry.month}>
+                    <td className="px-4 py-3 text-gray-600">
+                      Net worth, year {entry.month / 12}
+                      <div className="text-xs">{formatMonthYear(entry.date)}</div>
+                    </td>
+                    {splits.map(split => {
+                      const netWorth = split.timeline[entry.month - 1].netWorth;
+                      return (
+                        <td key={split.debtShare} className={`px-4 py-3 text-right font-medium ${netWorth < 0 ? 'text-orange' : 'text-navy-blue'}`}>
+                          {formatCurrency(netWorth)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="bg-soft-blue-tint rounded-md p-4 text-center">
+            <p className="text-sm font-bold text-navy-blue">{getVerdict()}</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
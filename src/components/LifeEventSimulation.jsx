@@ -0,0 +1,275 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+import { DEFAULT_SIMULATION_SETTINGS, SIMULATION_STRATEGIES, createLifeEventSimulation } from '../utils/lifeEventSimulation';
+import { formatMonthYear } from '../utils/dates';
+import { getMortgageIds } from '../utils/mortgages';
+
+const STRATEGY_TITLES = {
+  minimum: 'Minimum Payments',
+  avalanche: 'Debt Avalanche',
+  snowball: 'Debt Snowball',
+  custom: 'Custom Order'
+};
+
+const SETTING_FIELDS = [
+  { name: 'jobLossChance', label: 'Chance of a job loss each year (%)', step: '1', max: 100 },
+  { name: 'jobLossMonths', label: 'Months of minimums only after a job loss', step: '1', max: 24 },
+  { name: 'surpriseChance', label: 'Chance of a surprise expense each year (%)', step: '1', max: 100 },
+  { name: 'surpriseAmount', label: 'Typical surprise expense ($)', step: '0.01' },
+  { name: 'windfallChance', label: 'Chance of a windfall each year (%)', step: '1', max: 100 },
+  { name: 'windfallAmount', label: 'Windfall amount ($)', step: '0.01' },
+  { name: 'runs', label: 'Simulations to run', step: '1', max: 1000 }
+];
+
+// Time spent on runs before handing the page back for a moment
+const BATCH_MILLISECONDS = 40;
+
+export default function LifeEventSimulation() {
+  const { state } = useApp();
+  const { debts, extraMonthlyPayment, extraPaymentSchedule, oneTimePayments, planStartDate, paymentFrequency, excludeMortgageFromExtra, emergencyFund } = state;
+  const [simulation, setSimulation] = useState(null);
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const batchTimer = useRef(null);
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: DEFAULT_SIMULATION_SETTINGS
+  });
+
+  const stopSimulation = () => {
+    clearTimeout(batchTimer.current);
+    batchTimer.current = null;
+    setProgress(null);
+  };
+
+  // Results from earlier inputs no longer describe the plan
+  useEffect(() => {
+    stopSimulation();
+    setSimulation(null);
+  }, [debts, extraMonthlyPayment, extraPaymentSchedule, oneTimePayments, planStartDate, paymentFrequency, excludeMortgageFromExtra, emergencyFund]);
+
+  useEffect(() => {
+    return () => clearTimeout(batchTimer.current);
+  }, []);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(amount);
+  };
+
+  const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+  const formatDate = (date) => date ? formatMonthYear(date) : 'Never';
+
+  const hasCreditCards = debts.some(debt => debt.isCreditCard);
+
+  const onSubmit = (data) => {
+    const settings = {};
+    Object.keys(DEFAULT_SIMULATION_SETTINGS).forEach(key => {
+      settings[key] = parseFloat(data[key]) || 0;
+    });
+
+    stopSimulation();
+    setSimulation(null);
+    setProgress({ done: 0, total: Math.floor(settings.runs) });
+
+    // Runs go in short batches so the page stays responsive and shows progress
+    const runBatch = (run) => {
+      const batchEnd = Date.now() + BATCH_MILLISECONDS;
+      let done;
+      do {
+        done = run.runNext(1);
+      } while (done < run.runs && Date.now() < batchEnd);
+
+      if (done < run.runs) {
+        setProgress({ done, total: run.runs });
+        batchTimer.current = setTimeout(() => runBatch(run), 0);
+      } else {
+        batchTimer.current = null;
+        setProgress(null);
+        setSimulation(run.getResults());
+      }
+    };
+
+    batchTimer.current = setTimeout(() => {
+      runBatch(createLifeEventSimulation(debts, extraMonthlyPayment, settings, {
+        oneTimePayments,
+        extraPaymentSchedule,
+        startDate: planStartDate,
+        paymentFrequency,
+        excludedDebtIds: excludeMortgageFromExtra ? getMortgageIds(debts) : [],
+        emergencyFund
+      }));
+    }, 0);
+  };
+
+  // The most robust plan is the one still done soonest in its worst 10% of runs
+  const getVerdict = () => {
+    const { results } = simulation;
+    const getWorstCaseKey = (result) => result.debtFreeDates.p90 || '9999';
+    const mostRobust = SIMULATION_STRATEGIES
+      .filter(strategy => strategy !== 'minimum')
+      .reduce((best, strategy) => getWorstCaseKey(results[strategy]) < getWorstCaseKey(results[best]) ? strategy : best);
+    const result = results[mostRobust];
+    if (!result.debtFreeDates.p90) {
+      return 'In at least 1 run in 10, no plan pays off your debts. A bigger extra payment or an emergency fund would make your plan more resilient.';
+    }
+    return `${STRATEGY_TITLES[mostRobust]} holds up best: even in the worst 10% of runs you're debt-free by ${formatMonthYear(result.debtFreeDates.p90)}, and ${formatShare(result.onScheduleShare)} of runs finish on or before the planned date.`;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-xl font-bold text-navy-blue mb-4 text-center">
+        What If Life Gets in the Way?
+      </h3>
+      <p className="text-sm text-gray-600 text-center mb-6 max-w-2xl mx-auto">
+        Run every strategy hundreds of times with random job losses, surprise expenses and windfalls to see how much your
+        debt-free date could move. A job loss means only the minimums get paid for a while; surprise expenses go on a credit card.
+      </p>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 mb-4">
+          {SETTING_FIELDS.map(field => (
+            <div key={field.name}>
+              <label htmlFor={`simulation-${field.name}`} className="block text-sm font-medium text-navy-blue mb-1">{field.label}</label>
+              <input
+                type="number"
+                step={field.step}
+                id={`simulation-${field.name}`}
+                disabled={!hasCreditCards && field.name.startsWith('surprise')}
+                {...register(field.name, {
+                  required: 'Required',
+                  min: { value: field.name === 'runs' || field.name === 'jobLossMonths' ? 1 : 0, message: 'Too low' },
+                  ...(field.max ? { max: { value: field.max, message: `Must be ${field.max} or less` } } : {})
+                })}
+              />
+              {errors[field.name] && <p className="mt-1 text-xs text-orange">{errors[field.name].message}</p>}
+            </div>
+          ))}
+        </div>
+
+        {!hasCreditCards && (
+          <p className="text-xs text-gray-600 mb-4">Surprise expenses are left out because none of your debts is a credit card.</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={debts.length === 0 || progress !== null}
+          className="w-full bg-navy-blue text-white font-bold rounded-md transition-all hover:opacity-90 disabled:opacity-50"
+          style={{ height: '48px' }}
+        >
+          {progress ? `Running Simulations... ${progress.done} of ${progress.total}` : 'Run Simulations'}
+        </button>
+
+        {progress && (
+          <div className="flex items-center mt-3">
+            <div className="flex-1 bg-gray-100 rounded-sm h-2 mr-3">
+              <div className="bg-bright-blue rounded-sm h-2" style={{ width: `${progress.done / progress.total * 100}%` }} />
+            </div>
+            <button type="button" onClick={stopSimulation} className="text-sm text-navy-blue underline">
+              Stop
+            </button>
+          </div>
+        )}
+      </form>
+
+      {simulation && (
+        <>
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="px-4 py-3 text-left font-bold text-navy-blue">{simulation.runs} runs</th>
+                  {SIMULATION_STRATEGIES.map(strategy => (
+                    <th key={strategy} className="px-4 py-3 text-right font-bold uppercase tracking-wide text-navy-blue">
+                      {STRATEGY_TITLES[strategy]}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Planned debt-free date</td>
+                  {SIMULATION_STRATEGIES.map(strategy => (
+                    <td key={strategy} className="px-4 py-3 text-right font-medium text-navy-blue">
+                      {formatDate(simulation.results[strategy].baseline.debtFreeDate)}
+                    </td>
+                  ))}
+                </tr>
+                {[
+                  { key: 'p10', label: 'Debt-free date, best 10%' },
+                  { key: 'p50', label: 'Debt-free date, median' },
+                  { key: 'p90', label: 'Debt-free date, worst 10%' }
+                ].map(row => (
+                  <tr key={row.key}>
+                    <td className="px-4 py-3 text-gray-600">{row.label}</td>
+                    {SIMULATION_STRATEGIES.map(strategy => {
+                      const date = simulation.results[strategy].debtFreeDates[row.key];
+                      return (
+                        <td key={strategy} className={`px-4 py-3 text-right font-medium ${date ? 'text-bright-green' : 'text-orange'}`}>
+                          {formatDate(date)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Runs on or before the plan</td>
+                  {SIMULATION_STRATEGIES.map(strategy => (
+                    <td key={strategy} className="px-4 py-3 text-right font-medium text-navy-blue">
+                      {formatShare(simulation.results[strategy].onScheduleShare)}
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="px-4 py-3 text-gray-600">Runs never paid off</td>
+                  {SIMULATION_STRATEGIES.map(strategy => {
+                    const neverShare = 1 - simulation.results[strategy].paidOffShare;
+                    return (
+                      <td key={strategy} className={`px-4 py-3 text-right font-medium ${neverShare > 0 ? 'text-orange' : 'text-navy-blue'}`}>
+                        {formatShare(neverShare)}
+                      </td>
+                    );
+                  })}
+                </tr>
+                {[
+                  { key: 'p10', label: 'Interest, best 10%' },
+                  { key: 'p50', label: 'Interest, median' },
+                  { key: 'p90', label: 'Interest, worst 10%' }
+                ].map(row => (
+                  <tr key={row.key}>
+                    <td className="px-4 py-3 text-gray-600">{row.label}</td>
+                    {SIMULATION_STRATEGIES.map(strategy => (
+                      <td key={strategy} className="px-4 py-3 text-right font-medium text-orange">
+                        {formatCurrency(simulation.results[strategy].interest[row.key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            {SIMULATION_STRATEGIES.map(strategy => (
+              <div key={strategy} className="border border-light-gray-blue rounded-md p-3">
+                <p className="text-sm font-bold text-navy-blue uppercase tracking-wide mb-2">Debt-free year: {STRATEGY_TITLES[strategy]}</p>
+                {simulation.results[strategy].byYear.map(({ year, count }) => (
+                  <div key={year} className="flex items-center text-xs text-gray-600 mb-1">
+                    <span className="w-10">{year}</span>
+                    <div className="flex-1 bg-gray-100 rounded-sm h-3 mx-2">
+                      <div className="bg-bright-blue rounded-sm h-3" style={{ width: `${count / simulation.runs * 100}%` }} />
+                    </div>
+                    <span className="w-10 text-right">{formatShare(count / simulation.runs)}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-soft-blue-tint rounded-md p-4 text-center">
+            <p className="text-sm font-bold text-navy-blue">{getVerdict()}</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,82 @@
+import React from 'react';
+import { useApp } from '../context/AppContext';
+import { buildAmortizationSchedule, deriveLoanPayment } from '../utils/amortization';
+import { formatMonthYear, getPlanMonthDate } from '../utils/dates';
+
+// Principal / term inputs for installment loans, shared by DebtForm and EditDebtForm
+export default function LoanTermsFields({ register, watch, errors }) {
+  const { state } = useApp();
+  const balance = parseFloat(watch('balance')) || 0;
+  const apr = parseFloat(watch('apr')) || 0;
+  const loanTerms = watch('loanTerms') || {};
+
+  const payment = deriveLoanPayment(balance, apr, loanTerms);
+  const schedule = payment > 0 ? buildAmortizationSchedule(balance, apr, payment) : [];
+  const totalInterest = schedule.reduce((sum, row) => sum + row.interest, 0);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+  };
+
+  return (
+    <div className="rounded-md p-4 space-y-3" style={{ border: '1px solid #e0e0e0', backgroundColor: '#bbdefb', color: '#333' }}>
+      <div>
+        <label htmlFor="loanTermsPrincipal" className="block text-xs font-medium mb-1">Original loan amount ($)</label>
+        <input
+          type="number"
+          step="0.01"
+          id="loanTermsPrincipal"
+          placeholder="Leave blank to use current balance"
+          {...register('loanTerms.originalPrincipal', { min: { value: 0, message: 'Amount must be positive' } })}
+        />
+        {errors?.loanTerms?.originalPrincipal && (
+          <p className="mt-1 text-xs" style={{ color: '#f44336' }}>{errors.loanTerms.originalPrincipal.message}</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="loanTermsTerm" className="block text-xs font-medium mb-1">Loan term (months)</label>
+          <input
+            type="number"
+            step="1"
+            id="loanTermsTerm"
+            placeholder="60"
+            {...register('loanTerms.termMonths', {
+              required: 'Term is required',
+              min: { value: 1, message: 'Term must be at least 1 month' }
+            })}
+          />
+          {errors?.loanTerms?.termMonths && (
+            <p className="mt-1 text-xs" style={{ color: '#f44336' }}>{errors.loanTerms.termMonths.message}</p>
+          )}
+        </div>
+        <div>
+          <label htmlFor="loanTermsPaid" className="block text-xs font-medium mb-1">Payments already made</label>
+          <input
+            type="number"
+            step="1"
+            id="loanTermsPaid"
+            placeholder="0"
+            {...register('loanTerms.paymentsMade', { min: { value: 0, message: 'Must be 0 or more' } })}
+          />
+        </div>
+      </div>
+
+      {payment > 0 ? (
+        <p className="text-xs">
+          Monthly payment <strong>{formatCurrency(payment)}</strong>
+          {schedule.length > 0 && (
+            <>
+              {' '}· paid off in {schedule.length} months
+              ({formatMonthYear(getPlanMonthDate(state.planStartDate, schedule.length))})
+              {' '}· {formatCurrency(totalInterest)} interest
+            </>
+          )}
+        </p>
+      ) : (
+        <p className="text-xs italic">Enter the balance, APR and term to calculate your payment.</p>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
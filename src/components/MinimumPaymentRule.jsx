@@ -0,0 +1,95 @@
+import React from 'react';
+import {
+  MINIMUM_PAYMENT_PRESETS,
+  calculateCreditCardMinimum,
+  describeMinimumRule
+} from '../utils/minimumPayments';
+
+// Minimum payment rule picker for credit cards, shared by DebtForm and EditDebtForm
+export default function MinimumPaymentRule({ register, watch, errors }) {
+  const balance = parseFloat(watch('balance')) || 0;
+  const apr = parseFloat(watch('apr')) || 0;
+  const monthlyFee = parseFloat(watch('monthlyFee')) || 0;
+  const rule = watch('minimumRule') || { preset: 'standard' };
+  const isCustom = rule.preset === 'custom';
+
+  // Preview the first month's minimum with the same formula the engine uses
+  const previewMinimum = calculateCreditCardMinimum(balance, balance * (apr / 100 / 12), rule, monthlyFee);
+
+  return (
+    <div className="rounded-md p-4" style={{ border: '1px solid #e0e0e0', backgroundColor: '#bbdefb', color: '#333' }}>
+      <div className="flex items-center mb-2">
+        <svg className="h-4 w-4 mr-2" style={{ color: '#1976d2' }} fill="currentColor" viewBox="0 0 20 20">
+          <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
+        </svg>
+        <p className="text-sm font-medium" style={{ color: '#1976d2' }}>Recalculated every month</p>
+      </div>
+
+      <label htmlFor="minimumRulePreset" className="block text-xs font-medium mb-1">Minimum payment rule</label>
+      <select id="minimumRulePreset" className="mb-3" {...register('minimumRule.preset')}>
+        {Object.entries(MINIMUM_PAYMENT_PRESETS).map(([id, preset]) => (
+          <option key={id} value={id}>{preset.label}</option>
+        ))}
+        <option value="custom">Custom rule…</option>
+      </select>
+
+      {isCustom && (
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          <div>
+            <label htmlFor="minimumRulePercent" className="block text-xs font-medium mb-1">% of balance</label>
+            <input
+              type="number"
+              step="0.1"
+              id="minimumRulePercent"
+              {...register('minimumRule.percent', {
+                required: 'Percent is required',
+                min: { value: 0, message: 'Percent must be positive' }
+              })}
+            />
+            {errors?.minimumRule?.percent && (
+              <p className="mt-1 text-xs" style={{ color: '#f44336' }}>{errors.minimumRule.percent.message}</p>
+            )}
+          </div>
+          <div>
+            <label htmlFor="minimumRuleFloor" className="block text-xs font-medium mb-1">Floor amount ($)</label>
+            <input
+              type="number"
+              step="0.01"
+              id="minimumRuleFloor"
+              {...register('minimumRule.floor', {
+                required: 'Floor is required',
+                min: { value: 0, message: 'Floor must be positive' }
+              })}
+            />
+            {errors?.minimumRule?.floor && (
+              <p className="mt-1 text-xs" style={{ color: '#f44336' }}>{errors.minimumRule.floor.message}</p>
+            )}
+          </div>
+          <label className="flex items-center text-xs">
+            <input type="checkbox" className="mr-2" style={{ width: 'auto', display: 'inline-block' }} {...register('minimumRule.includeInterest')} />
+            Plus interest
+          </label>
+          <label className="flex items-center text-xs">
+            <input type="checkbox" className="mr-2" style={{ width: 'auto', display: 'inline-block' }} {...register('minimumRule.includeFees')} />
+            Plus fees
+          </label>
+        </div>
+      )}
+
+      <label htmlFor="monthlyFee" className="block text-xs font-medium mb-1">Monthly card fees ($, optional)</label>
+      <input
+        type="number"
+        step="0.01"
+        id="monthlyFee"
+        placeholder="0"
+        className="mb-3"
+        {...register('monthlyFee', { min: { value: 0, message: 'Fees must be positive' } })}
+      />
+
+      <p className="text-xs">
+        {describeMinimumRule(rule)}: first payment about{' '}
+        <strong>${previewMinimum.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong>
+      </p>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,89 @@
+import React from 'react';
+import { deriveLoanPayment } from '../utils/amortization';
+import { getPmiPayment, getPmiRemovalBalance } from '../utils/mortgages';
+
+// Escrow, PMI and recast inputs for mortgages, shared by DebtForm and EditDebtForm
+export default function MortgageFields({ register, watch, errors, useLoanTerms }) {
+  const balance = parseFloat(watch('balance')) || 0;
+  const apr = parseFloat(watch('apr')) || 0;
+  const loanTerms = watch('loanTerms') || {};
+  const mortgage = watch('mortgage') || {};
+
+  const principalAndInterest = useLoanTerms
+    ? deriveLoanPayment(balance, apr, loanTerms)
+    : parseFloat(watch('minPayment')) || 0;
+  const escrow = parseFloat(mortgage.monthlyEscrow) || 0;
+  const pmi = getPmiPayment(mortgage, parseFloat(loanTerms.originalPrincipal) || balance);
+  const pmiRemovalBalance = getPmiRemovalBalance(mortgage);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+  };
+
+  return (
+    <div className="rounded-md p-4 space-y-3" style={{ border: '1px solid #e0e0e0', backgroundColor: '#bbdefb', color: '#333' }}>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="mortgageHomeValue" className="block text-xs font-medium mb-1">Home value at purchase ($)</label>
+          <input
+            type="number"
+            step="1"
+            id="mortgageHomeValue"
+            placeholder="300000"
+            {...register('mortgage.homeValue', { min: { value: 0, message: 'Value must be positive' } })}
+          />
+        </div>
+        <div>
+          <label htmlFor="mortgageEscrow" className="block text-xs font-medium mb-1">Escrow per month ($)</label>
+          <input
+            type="number"
+            step="0.01"
+            id="mortgageEscrow"
+            placeholder="Taxes and insurance"
+            {...register('mortgage.monthlyEscrow', { min: { value: 0, message: 'Escrow must be positive' } })}
+          />
+        </div>
+        <div>
+          <label htmlFor="mortgagePmiRate" className="block text-xs font-medium mb-1">PMI (% of loan per year)</label>
+          <input
+            type="number"
+            step="0.01"
+            id="mortgagePmiRate"
+            placeholder="0"
+            {...register('mortgage.pmiRate', { min: { value: 0, message: 'PMI must be positive' } })}
+          />
+        </div>
+        {useLoanTerms && (
+          <div>
+            <label htmlFor="mortgageRecast" className="block text-xs font-medium mb-1">Recast after prepaying ($)</label>
+            <input
+              type="number"
+              step="1"
+              id="mortgageRecast"
+              placeholder="Leave blank for no recast"
+              {...register('mortgage.recastThreshold', { min: { value: 0, message: 'Amount must be positive' } })}
+            />
+          </div>
+        )}
+      </div>
+      {errors?.mortgage && (
+        <p className="text-xs" style={{ color: '#f44336' }}>
+          {Object.values(errors.mortgage)[0]?.message}
+        </p>
+      )}
+
+      <p className="text-xs">
+        Principal & interest <strong>{formatCurrency(principalAndInterest)}</strong>
+        {escrow > 0 && <> + escrow {formatCurrency(escrow)}</>}
+        {pmi > 0 && <> + PMI {formatCurrency(pmi)}</>}
+        {' '}= <strong>{formatCurrency(principalAndInterest + escrow + pmi)}</strong> a month
+      </p>
+      {pmi > 0 && pmiRemovalBalance > 0 && (
+        <p className="text-xs">PMI stops once the balance reaches {formatCurrency(pmiRemovalBalance)} (78% of the home's value).</p>
+      )}
+      {!useLoanTerms && (
+        <p className="text-xs italic">Calculate the payment from the loan amount and term to allow recasting.</p>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useApp } from '../context/AppContext';
+
+export default function OneTimePayments() {
+  const { state, dispatch } = useApp();
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: { label: '', month: '', amount: '', debtId: '' }
+  });
+
+  const sortedPayments = [...state.oneTimePayments].sort((a, b) => a.month - b.month);
+
+  const getTargetName = (debtId) => {
+    if (debtId === null) return 'Priority debt (follows strategy)';
+    const debt = state.debts.find(d => d.id === debtId);
+    return debt ? debt.name : 'Priority debt (follows strategy)';
+  };
+
+  const closeForm = () => {
+    reset({ label: '', month: '', amount: '', debtId: '' });
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const handleEdit = (payment) => {
+    reset({
+      label: payment.label,
+      month: payment.month,
+      amount: payment.amount,
+      debtId: payment.debtId === null ? '' : String(payment.debtId)
+    });
+    setEditingId(payment.id);
+    setShowForm(true);
+  };
+
+  const handleDelete = (id) => {
+    dispatch({ type: 'DELETE_ONE_TIME_PAYMENT', payload: id });
+    if (editingId === id) {
+      closeForm();
+    }
+  };
+
+  const onSubmit = (data) => {
+    const payment = {
+      label: data.label.trim() || 'One-time payment',
+      month: parseInt(data.month, 10),
+      amount: parseFloat(data.amount),
+      debtId: data.debtId === '' ? null : Number(data.debtId)
+    };
+
+    if (editingId !== null) {
+      dispatch({ type: 'UPDATE_ONE_TIME_PAYMENT', payload: { ...payment, id: editingId } });
+    } else {
+      dispatch({ type: 'ADD_ONE_TIME_PAYMENT', payload: payment });
+    }
+    closeForm();
+  };
+
+  return (
+    <div className="extra-payments-section">
+      <h3 className="extra-payments-title">One-Time Payments</h3>
+      <p className="text-sm mb-4" style={{ color: '#333' }}>
+        Planning on a tax refund, bonus or other windfall? Schedule it here and it will be applied in the month it lands.
+      </p>
+
+      {sortedPayments.length > 0 && (
+        <div className="rounded-md mb-4 bg-white" style={{ border: '1px solid #e0e0e0' }}>
+          <table className="min-w-full">
+            <thead>
+              <tr style={{ borderBottom: '1px solid #e0e0e0' }}>
+                <th className="px-4 py-3 text-left text-sm font-medium" style={{ color: '#333' }}>Description</th>
+                <th className="px-4 py-3 text-left text-sm font-medium" style={{ color: '#333' }}>Month</th>
+                <th className="px-4 py-3 text-left text-sm font-medium" style={{ color: '#333' }}>Applied To</th>
+                <th className="px-4 py-3 text-right text-sm font-medium" style={{ color: '#333' }}>Amount</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedPayments.map(payment => (
+                <tr key={payment.id} style={{ borderBottom: '1px solid #e0e0e0' }}>
+                  <td className="px-4 py-3 text-sm font-medium" style={{ color: '#333' }}>{payment.label}</td>
+                  <td className="px-4 py-3 text-sm" style={{ color: '#333' }}>Month {payment.month}</td>
+                  <td className="px-4 py-3 text-sm" style={{ color: '#666' }}>{getTargetName(payment.debtId)}</td>
+                  <td className="px-4 py-3 text-sm font-medium text-right" style={{ color: '#2196f3' }}>
+                    ${payment.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  </td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(payment)}
+                      className="btn-secondary px-3 py-1 text-sm rounded-md mr-2"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(payment.id)}
+                      className="btn-secondary px-3 py-1 text-sm rounded-md"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!showForm ? (
+        <button
+          type="button"
+          onClick={() => setShowForm(true)}
+          className="btn-primary w-full py-3 rounded-md"
+        >
+          Add One-Time Payment
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-md p-4" style={{ border: '1px solid #e0e0e0' }}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-group">
+              <label htmlFor="oneTimeLabel" className="form-label">Description</label>
+              <input
+                type="text"
+                id="oneTimeLabel"
+                placeholder="e.g., Tax refund"
+                {...register('label')}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="oneTimeAmount" className="form-label">Amount ($)</label>
+              <input
+                type="number"
+                step="0.01"
+                id="oneTimeAmount"
+                placeholder="0"
+                {...register('amount', {
+                  required: 'Amount is required',
+                  min: { value: 0.01, message: 'Amount must be positive' }
+                })}
+              />
+              {errors.amount && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.amount.message}</p>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="oneTimeMonth" className="form-label">Month Received</label>
+              <input
+                type="number"
+                step="1"
+                id="oneTimeMonth"
+                placeholder="e.g., 4"
+                {...register('month', {
+                  required: 'Month is required',
+                  min: { value: 1, message: 'Month must be 1 or later' }
+                })}
+              />
+              {errors.month && (
+                <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.month.message}</p>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="oneTimeDebt" className="form-label">Apply To</label>
+              <select id="oneTimeDebt" {...register('debtId')}>
+                <option value="">Priority debt (follows strategy)</option>
+                {state.debts.map(debt => (
+                  <option key={debt.id} value={debt.id}>{debt.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex space-x-4">
+            <button type="submit" className="btn-primary flex-1 py-3 rounded-md">
+              {editingId !== null ? 'Save Changes' : 'Add Payment'}
+            </button>
+            <button type="button" onClick={closeForm} className="btn-secondary px-6 rounded-md">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,16 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { useApp } from '../context/AppContext';
+import OneTimePayments from './OneTimePayments';
+import ExtraPaymentSchedule from './ExtraPaymentSchedule';
+import BalanceTransferSetup from './BalanceTransferSetup';
+import ExtraPaymentGoal from './ExtraPaymentGoal';
+import EmergencyFundSetup from './EmergencyFundSetup';
 
 export default function PaymentSetup() {
   const { state, dispatch } = useApp();
-  const { register, watch, formState: { errors } } = useForm({
+  const [inputMode, setInputMode] = useState('amount'); // 'amount' or 'goal'
+  const { register, watch, setValue, formState: { errors } } = useForm({
     defaultValues: {
       extraPayment: state.extraMonthlyPayment
     }
@@ -26,6 +32,12 @@ export default function PaymentSetup() {
     }
   }, [extraPayment, dispatch]);
 
+  // Take the amount found by the goal solver as the extra payment
+  const handleUseGoalAmount = (amount) => {
+    setValue('extraPayment', amount);
+    setInputMode('amount');
+  };
+
   const totalMinPayment = state.debts.reduce((sum, debt) => sum + debt.minPayment, 0);
   const totalDebt = state.debts.reduce((sum, debt) => sum + debt.balance, 0);
 
@@ -77,28 +89,143 @@ export default function PaymentSetup() {
       <div className="extra-payments-section">
         <h3 className="extra-payments-title">Extra Payments</h3>
         
+        <div className="flex space-x-4 mb-4">
+          <button
+            type="button"
+            onClick={() => setInputMode('amount')}
+            className={`${inputMode === 'amount' ? 'btn-primary' : 'btn-secondary'} flex-1 py-2 rounded-md text-sm`}
+          >
+            I know my extra payment
+          </button>
+          <button
+            type="button"
+            onClick={() => setInputMode('goal')}
+            className={`${inputMode === 'goal' ? 'btn-primary' : 'btn-secondary'} flex-1 py-2 rounded-md text-sm`}
+          >
+            Work it out from a goal
+          </button>
+        </div>
+        
+        {inputMode === 'goal' ? (
+          <div className="form-group">
+            <p className="mb-4 text-sm" style={{ color: '#666' }}>
+              Pick a payoff deadline or an interest budget and we'll find the smallest extra payment that gets you there under each strategy.
+            </p>
+            <ExtraPaymentGoal onUseAmount={handleUseGoalAmount} />
+          </div>
+        ) : (
+          <div className="form-group">
+            <label htmlFor="extraPayment" className="form-label">
+              Monthly Extra Payment ($):
+            </label>
+            <input
+              type="number"
+              id="extraPayment"
+              placeholder="0"
+              min="0"
+              step="0.01"
+              {...register('extraPayment', { 
+                min: { value: 0, message: 'Extra payment must be positive' }
+              })}
+            />
+            {errors.extraPayment && (
+              <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.extraPayment.message}</p>
+            )}
+            <p className="mt-2 text-sm" style={{ color: '#666' }}>
+              Even an extra $50 per month can make a significant difference in your total interest paid.
+            </p>
+          </div>
+        )}
+        
         <div className="form-group">
-          <label htmlFor="extraPayment" className="form-label">
-            Monthly Extra Payment ($):
+          <label htmlFor="paymentFrequency" className="form-label">
+            Payment Frequency:
+          </label>
+          <select
+            id="paymentFrequency"
+            value={state.paymentFrequency}
+            onChange={(e) => dispatch({ type: 'SET_PAYMENT_FREQUENCY', payload: e.target.value })}
+          >
+            <option value="monthly">Monthly</option>
+            <option value="semimonthly">Semi-monthly (half your payment twice a month)</option>
+            <option value="biweekly">Biweekly (half your payment every two weeks)</option>
+          </select>
+          <p className="mt-2 text-sm" style={{ color: '#666' }}>
+            Paying every two weeks makes 26 half payments a year, one extra monthly payment's worth, and paying early in the cycle cuts the interest charged.
+          </p>
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="planStartDate" className="form-label">
+            Plan Start Date:
+          </label>
+          <input
+            type="date"
+            id="planStartDate"
+            value={state.planStartDate}
+            onChange={(e) => e.target.value && dispatch({ type: 'SET_PLAN_START_DATE', payload: e.target.value })}
+          />
+          <p className="mt-2 text-sm" style={{ color: '#666' }}>
+            The day your first billing cycle begins. Debts using daily interest are charged for the real number of days in each cycle.
+          </p>
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="marginalTaxRate" className="form-label">
+            Marginal Tax Rate (%):
+          </label>
+          <input
+            type="number"
+            id="marginalTaxRate"
+            placeholder="0"
+            min="0"
+            max="100"
+            step="0.1"
+            value={state.marginalTaxRate || ''}
+            onChange={(e) => {
+              const rate = parseFloat(e.target.value) || 0;
+              if (rate >= 0 && rate <= 100) dispatch({ type: 'SET_MARGINAL_TAX_RATE', payload: rate });
+            }}
+          />
+          <p className="mt-2 text-sm" style={{ color: '#666' }}>
+            Your federal plus state rate on your last dollar of income. Debts marked as tax deductible are compared at their after-tax cost.
+          </p>
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="discountRate" className="form-label">
+            Inflation Rate (% per year):
           </label>
           <input
             type="number"
-            id="extraPayment"
+            id="discountRate"
             placeholder="0"
             min="0"
-            step="0.01"
-            {...register('extraPayment', { 
-              min: { value: 0, message: 'Extra payment must be positive' }
-            })}
+            max="100"
+            step="0.1"
+            value={state.discountRate || ''}
+            onChange={(e) => {
+              const rate = parseFloat(e.target.value) || 0;
+              if (rate >= 0 && rate <= 100) dispatch({ type: 'SET_DISCOUNT_RATE', payload: rate });
+            }}
           />
-          {errors.extraPayment && (
-            <p className="mt-2 text-sm" style={{ color: '#f44336' }}>{errors.extraPayment.message}</p>
-          )}
           <p className="mt-2 text-sm" style={{ color: '#666' }}>
-            Even an extra $50 per month can make a significant difference in your total interest paid.
+            Used to show totals in today's dollars, since a payment made years from now costs you less than one made today. Try 3% for typical inflation.
           </p>
         </div>
       </div>
+      
+      {/* Extra Payment Changes Section */}
+      <ExtraPaymentSchedule />
+      
+      {/* One-Time Payments Section */}
+      <OneTimePayments />
+      
+      {/* Emergency Fund Section */}
+      <EmergencyFundSetup />
+      
+      {/* Balance Transfer Scenario */}
+      <BalanceTransferSetup />
     </div>
   );
 } 
\ No newline at end of file
@@ -1,5 +1,11 @@
 import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
+import { buildAmortizationSchedule } from '../utils/amortization';
+import { formatMonthYear } from '../utils/dates';
+import { PAUSE_TYPE_LABELS } from '../utils/studentLoans';
+import { getAfterTaxApr, isInterestDeductible } from '../utils/taxes';
+import { calculateUtilizationTimeline, getUtilization, hasCreditLimit } from '../utils/creditUtilization';
+import InfeasiblePlanWarning from './InfeasiblePlanWarning';
 
 export default function PlanDetails() {
   const { state, dispatch } = useApp();
@@ -27,6 +33,7 @@ export default function PlanDetails() {
   const strategyData = results[selectedStrategy];
   const { totalPaid, totalInterest, months, monthlyPayments } = strategyData;
   const minimumResult = results.minimum;
+  const isFeasible = strategyData.feasible !== false;
   
   if (!monthlyPayments || monthlyPayments.length === 0) {
     return (
@@ -52,10 +59,20 @@ export default function PlanDetails() {
         bgColor: 'bg-bright-green',
         color: 'bright-green'
       },
+      afterTaxAvalanche: { 
+        title: 'After-Tax Avalanche',
+        bgColor: 'bg-bright-green',
+        color: 'bright-green'
+      },
       snowball: { 
         title: 'Debt Snowball',
         bgColor: 'bg-bright-blue',
         color: 'bright-blue'
+      },
+      custom: { 
+        title: 'Custom Order',
+        bgColor: 'bg-royal-blue',
+        color: 'royal-blue'
       }
     };
     return strategies[strategy] || { title: 'Unknown Strategy', bgColor: 'bg-gray-600', color: 'gray' };
@@ -67,6 +84,31 @@ export default function PlanDetails() {
     return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
   };
   
+  const usesDailyInterest = state.debts.some(debt => debt.interestMethod === 'daily');
+  const hasNewSpending = state.debts.some(debt => debt.isCreditCard && debt.monthlySpending > 0);
+  const paysMoreThanMonthly = strategyData.paymentFrequency !== 'monthly';
+  const hasEmergencyFund = !!state.emergencyFund;
+  const utilization = calculateUtilizationTimeline(state.debts, strategyData);
+  
+  // Overall utilization after a month, and any threshold it drops below for good
+  const getMonthUtilization = (monthIndex) => utilization ? utilization.months[monthIndex].overall : null;
+  const getThresholdsReached = (monthNumber) => utilization
+    ? utilization.thresholds.filter(reached => reached.month === monthNumber).map(reached => reached.threshold)
+    : [];
+  
+  const formatPercent = (percent) => `${Math.round(percent)}%`;
+  
+  // Scheduled extra payment changes show up as a new monthly budget
+  const getBudgetChange = (monthIndex) => {
+    const budget = monthlyPayments[monthIndex].budget;
+    const previousBudget = monthIndex > 0 ? monthlyPayments[monthIndex - 1].budget : budget;
+    return budget != null && budget !== previousBudget ? { budget, increased: budget > previousBudget } : null;
+  };
+  
+  const getDebtName = (debtId) => {
+    return state.debts.find(d => d.id === debtId)?.name || 'Debt';
+  };
+  
   const loadMore = () => {
     setDisplayCount(prev => Math.min(prev + 24, months));
   };
@@ -81,68 +123,56 @@ export default function PlanDetails() {
     time: minimumResult.months - months
   } : { interest: 0, time: 0 };
 
+  // Events recorded by the engine for a month
+  const getMonthEvents = (monthNumber, type) => {
+    return strategyData.events.filter(event => event.month === monthNumber && event.type === type);
+  };
+  
   // Calculate simple debt priority and payoff order
   const getDebtPriorityList = () => {
-    const debtPayoffData = [];
-    
-    // Find when each debt gets paid off and analyze how it was paid off
-    state.debts.forEach(debt => {
-      let payoffMonth = null;
-      let wasTargeted = false;
-      
-      // Look through all months to find when this debt's balance first hits zero
-      for (let i = 0; i < monthlyPayments.length; i++) {
-        const month = monthlyPayments[i];
-        const payment = month.debtPayments.find(p => p.debtId === debt.id);
-        
-        if (payment) {
-          // Check if balance is zero or very close to zero (accounting for floating point precision)
-          if (payment.balance <= 0.01) {
-            // Only set payoffMonth if we haven't found it yet (first time balance hits zero)
-            if (payoffMonth === null) {
-              payoffMonth = i + 1;
-              
-              // Check if this debt received extra payment in its final month or leading months
-              wasTargeted = payment.extraPayment > 0 || 
-                monthlyPayments.slice(Math.max(0, i-3), i).some(prevMonth => {
-                  const prevPayment = prevMonth.debtPayments.find(p => p.debtId === debt.id);
-                  return prevPayment && prevPayment.extraPayment > 0;
-                });
-            }
-            break; // Stop looking once we find the payoff month
-          }
-        }
-      }
-      
-      // If we still haven't found a payoff month, this debt never gets fully paid off in our timeline
-      if (payoffMonth === null) {
-        // Check the final balance to see if it's essentially paid off
-        const finalMonth = monthlyPayments[monthlyPayments.length - 1];
-        const finalPayment = finalMonth?.debtPayments.find(p => p.debtId === debt.id);
-        if (finalPayment && finalPayment.balance <= 0.01) {
-          payoffMonth = monthlyPayments.length;
-        } else {
-          payoffMonth = months; // Use total months as fallback
-        }
-      }
-      
-      debtPayoffData.push({
+    // Payoff month and targeting come straight from the engine's per-debt summary
+    const debtPayoffData = state.debts.map(debt => {
+      const summary = strategyData.debtSummaries.find(s => s.debtId === debt.id);
+      return {
         ...debt,
-        payoffMonth,
-        wasTargeted
-      });
+        payoffMonth: summary?.payoffMonth ?? Infinity, // Never paid off under this plan
+        payoffDate: summary?.payoffDate ?? null,
+        wasTargeted: summary?.targetedFromMonth != null,
+        interestPaid: summary?.interestPaid || 0,
+        forgiven: summary?.forgiven || 0
+      };
     });
     
+    // The avalanche ranks by the rate in effect each month (promo rates and
+    // scheduled changes included), so its order comes from the engine's target
+    // changes: debts in the order the extra money first reached them, then the
+    // ones it never reached by payoff
+    const getTargetedOrder = () => {
+      const targetOrder = [];
+      strategyData.events
+        .filter(event => event.type === 'target-changed' && !targetOrder.includes(event.debtId))
+        .forEach(event => targetOrder.push(event.debtId));
+      const getRank = (debt) => targetOrder.includes(debt.id) ? targetOrder.indexOf(debt.id) : Infinity;
+      return [...debtPayoffData].sort((a, b) => getRank(a) === getRank(b) ? a.payoffMonth - b.payoffMonth : getRank(a) - getRank(b));
+    };
+    
     // Sort debts by strategy order
     let sortedDebts;
     let sortingDescription;
     
     if (selectedStrategy === 'avalanche') {
-      sortedDebts = [...debtPayoffData].sort((a, b) => b.apr - a.apr);
-      sortingDescription = 'Ordered by highest interest rate first';
+      sortedDebts = getTargetedOrder();
+      sortingDescription = 'Ordered by highest interest rate in effect first, including intro and scheduled rates';
+    } else if (selectedStrategy === 'afterTaxAvalanche') {
+      sortedDebts = getTargetedOrder();
+      sortingDescription = 'Ordered by highest interest rate after taxes in effect first, including intro and scheduled rates';
     } else if (selectedStrategy === 'snowball') {
       sortedDebts = [...debtPayoffData].sort((a, b) => a.balance - b.balance);
       sortingDescription = 'Ordered by lowest balance first';
+    } else if (selectedStrategy === 'custom') {
+      // state.debts is already in the user's chosen order
+      sortedDebts = [...debtPayoffData];
+      sortingDescription = 'Ordered by your custom priority';
     } else {
       sortedDebts = [...debtPayoffData].sort((a, b) => a.payoffMonth - b.payoffMonth);
       sortingDescription = 'Ordered by natural payoff timeline';
@@ -176,6 +206,12 @@ export default function PlanDetails() {
         <h1 className="text-3xl font-bold mb-2 text-white">{title}</h1>
       </div>
       
+      {!isFeasible && (
+        <div className="mb-8">
+          <InfeasiblePlanWarning reasons={strategyData.infeasibleReasons} />
+        </div>
+      )}
+      
       {/* Debt Priority List */}
       <div className="bg-gradient-to-br from-blue-50 to-indigo-100 rounded-xl shadow-lg border border-blue-200 p-8 mb-8">
         <div className="mb-8">
@@ -186,12 +222,8 @@ export default function PlanDetails() {
         <div className="bg-white rounded-lg p-6">
           <div className="space-y-4">
             {prioritizedDebts.map((debt, index) => {
-              // Check if this debt paid off naturally (early) compared to its priority position
-              const actualPayoffOrder = prioritizedDebts
-                .filter(d => d.payoffMonth <= debt.payoffMonth)
-                .sort((a, b) => a.payoffMonth - b.payoffMonth)
-                .findIndex(d => d.id === debt.id) + 1;
-              const paidOffEarly = actualPayoffOrder < index + 1 && selectedStrategy !== 'minimum';
+              // Paid off by its own minimum payments before the extra money ever reached it
+              const paidOffEarly = selectedStrategy !== 'minimum' && debt.payoffMonth !== Infinity && !debt.wasTargeted && debt.forgiven === 0;
               
               return (
                 <div 
@@ -216,8 +248,13 @@ export default function PlanDetails() {
                       </div>
                       <div className="flex items-center space-x-4 text-sm text-gray-600">
                         <span>{debt.apr.toFixed(2)}% APR</span>
+                        {state.marginalTaxRate > 0 && isInterestDeductible(debt) && (
+                          <span>({getAfterTaxApr(debt, state.marginalTaxRate).toFixed(2)}% after taxes)</span>
+                        )}
                         <span>•</span>
                         <span>{formatCurrency(debt.balance)} balance</span>
+                        <span>•</span>
+                        <span>{formatCurrency(debt.interestPaid)} interest</span>
                         {debt.isCreditCard && (
                           <>
                             <span>•</span>
@@ -230,10 +267,28 @@ export default function PlanDetails() {
                     </div>
                   </div>
                   <div className="text-right">
-                    <div className="text-sm text-gray-600">Paid off in</div>
-                    <div className="text-2xl font-bold text-green-600">
-                      Month {debt.payoffMonth}
-                    </div>
+                    {debt.payoffMonth === Infinity ? (
+                      <div className="text-2xl font-bold text-red-700">Never paid off</div>
+                    ) : (
+                      <>
+                        <div className="text-sm text-gray-600">{debt.forgiven > 0 ? 'Forgiven in' : 'Paid off by'}</div>
+                        <div className="text-2xl font-bold text-green-600">
+                          {formatMonthYear(debt.payoffDate)}
+                        </div>
+                        <div className="text-xs text-gray-600">Month {debt.payoffMonth}</div>
+                        {debt.forgiven > 0 && (
+                          <div className="text-xs text-gray-600">{formatCurrency(debt.forgiven)} forgiven</div>
+                        )}
+                      </>
+                    )}
+                    {debt.loanTerms && (() => {
+                      // Installment loans: compare against the loan's own schedule
+                      const scheduledMonths = buildAmortizationSchedule(debt.balance, debt.apr, debt.minPayment).length;
+                      const monthsEarly = scheduledMonths - debt.payoffMonth;
+                      return monthsEarly > 0 ? (
+                        <div className="text-xs text-gray-600">{monthsEarly} months ahead of the {scheduledMonths}-month schedule</div>
+                      ) : null;
+                    })()}
                   </div>
                 </div>
               );
@@ -242,9 +297,15 @@ export default function PlanDetails() {
           
           {prioritizedDebts.length > 0 && (
             <div className="mt-6 pt-6 border-t border-gray-200 text-center">
-              <div className="bg-gradient-to-r from-green-500 to-green-600 text-white rounded-xl p-4 mb-4">
-                <div className="text-lg font-bold">🎉 All debts paid off in {months} months! 🎉</div>
-              </div>
+              {isFeasible ? (
+                <div className="bg-gradient-to-r from-green-500 to-green-600 text-white rounded-xl p-4 mb-4">
+                  <div className="text-lg font-bold">🎉 Debt-free by {formatMonthYear(strategyData.debtFreeDate)}, in {months} months! 🎉</div>
+                </div>
+              ) : (
+                <div className="bg-red-50 border border-red-200 text-red-700 rounded-xl p-4 mb-4">
+                  <div className="text-lg font-bold">Schedule stops after {months} months with debt still growing</div>
+                </div>
+              )}
               <button
                 onClick={() => setShowDetailedBreakdown(!showDetailedBreakdown)}
                 className="flex items-center space-x-2 bg-white hover:bg-gray-50 text-blue-600 hover:text-blue-700 transition-colors font-medium py-3 px-6 rounded-lg border border-blue-200 shadow-sm mx-auto"
@@ -288,46 +349,152 @@ export default function PlanDetails() {
                           </div>
                         </th>
                       ))}
+                      {hasEmergencyFund && (
+                        <th className="px-6 py-3 text-right text-sm font-semibold text-gray-900">Savings</th>
+                      )}
                       <th className="px-6 py-3 text-right text-sm font-semibold text-gray-900">Total Payment</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
                     {monthlyPayments.slice(0, displayCount).map((month, monthIndex) => {
+                      const budgetChange = getBudgetChange(monthIndex);
                       const monthlyTotal = month.debtPayments.reduce((sum, p) => sum + p.payment, 0);
                       const extraPaymentDebts = month.debtPayments.filter(p => p.extraPayment > 0);
                       
                       return (
                         <tr key={month.month} className="hover:bg-gray-50">
                           <td className="px-6 py-4 text-sm font-medium text-gray-900">
-                            Month {month.month}
+                            {formatMonthYear(month.date)}
+                            <div className="text-xs font-normal text-gray-500">Month {month.month}</div>
+                            {usesDailyInterest && (
+                              <div className="text-xs font-normal text-gray-500 mt-1">{month.daysInCycle}-day cycle</div>
+                            )}
+                            {paysMoreThanMonthly && (
+                              <div className="text-xs font-normal text-gray-500 mt-1">{month.paymentDays.length} payments</div>
+                            )}
                             {extraPaymentDebts.length > 1 && (
                               <div className="text-xs text-green-600 mt-1">Multiple payments</div>
                             )}
+                            {month.oneTimePayment > 0 && (
+                              <div className="text-xs text-purple-700 mt-1">Lump sum {formatCurrency(month.oneTimePayment)}</div>
+                            )}
+                            {budgetChange && (
+                              <div className="text-xs text-blue-700 mt-1">
+                                Budget {budgetChange.increased ? '↑' : '↓'} {formatCurrency(budgetChange.budget)}
+                              </div>
+                            )}
+                            {utilization && (
+                              <div className="text-xs font-normal text-gray-500 mt-1">{formatPercent(getMonthUtilization(monthIndex))} utilization</div>
+                            )}
+                            {getThresholdsReached(month.month).map(threshold => (
+                              <div key={threshold} className="text-xs text-green-600 mt-1">Under {threshold}% utilization</div>
+                            ))}
+                            {month.rateChanges?.map(change => (
+                              <div key={change.debtId} className="text-xs text-red-700 mt-1">
+                                {getDebtName(change.debtId)}: {change.fromApr.toFixed(2)}% → {change.toApr.toFixed(2)}%
+                              </div>
+                            ))}
+                            {getMonthEvents(month.month, 'rollover').map(rollover => (
+                              <div key={rollover.fromDebtId} className="text-xs text-green-600 mt-1">
+                                {formatCurrency(rollover.amount)} from {getDebtName(rollover.fromDebtId)} rolls to {getDebtName(rollover.toDebtId)}
+                              </div>
+                            ))}
                           </td>
                           {state.debts.map((debt) => {
                             const payment = month.debtPayments.find(p => p.debtId === debt.id);
                             const isExtraPayment = payment?.extraPayment > 0;
                             const balance = payment?.balance || 0;
                             const paymentAmount = payment?.payment || 0;
-                            const isPaidOff = balance === 0 && paymentAmount > 0;
+                            const isPaidOff = getMonthEvents(month.month, 'paid-off').some(event => event.debtId === debt.id);
+                            const isForgiven = payment?.forgiven > 0;
                             
                             return (
                               <React.Fragment key={debt.id}>
-                                <td className={`px-6 py-4 text-sm text-center border-r border-gray-200 ${isPaidOff ? 'text-gray-400' : 'text-gray-900'}`}>
+                                <td className={`px-6 py-4 text-sm text-center border-r border-gray-200 ${isPaidOff || isForgiven ? 'text-gray-400' : 'text-gray-900'}`}>
                                   {isPaidOff ? (
                                     <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-green-700 bg-green-100">
                                       PAID OFF
                                     </span>
+                                  ) : isForgiven ? (
+                                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-blue-700 bg-blue-100">
+                                      FORGIVEN
+                                    </span>
                                   ) : (
                                     formatCurrency(balance)
                                   )}
+                                  {isForgiven && (
+                                    <div className="text-xs text-blue-700 mt-1">{formatCurrency(payment.forgiven)} forgiven</div>
+                                  )}
+                                  {hasCreditLimit(debt) && balance > 0 && (
+                                    <div className="text-xs text-gray-500 mt-1">{formatPercent(getUtilization(balance, debt.creditLimit))} of limit</div>
+                                  )}
+                                  {payment?.pauseType && (
+                                    <div className="text-xs text-gray-500 mt-1">{PAUSE_TYPE_LABELS[payment.pauseType]}</div>
+                                  )}
+                                  {payment?.capitalizedInterest > 0 && (
+                                    <div className="text-xs text-red-700 mt-1">
+                                      {formatCurrency(payment.capitalizedInterest)} interest capitalized
+                                    </div>
+                                  )}
+                                  {getMonthEvents(month.month, 'pmi-removed').some(event => event.debtId === debt.id) && (
+                                    <div className="text-xs text-green-700 mt-1">PMI removed</div>
+                                  )}
+                                  {getMonthEvents(month.month, 'recast').filter(event => event.debtId === debt.id).map(recast => (
+                                    <div key={recast.debtId} className="text-xs text-green-700 mt-1">
+                                      Recast to {formatCurrency(recast.toPayment)}/mo
+                                    </div>
+                                  ))}
+                                  {payment?.deferredInterestCharged > 0 && (
+                                    <div className="text-xs text-red-700 mt-1">
+                                      +{formatCurrency(payment.deferredInterestCharged)} deferred interest
+                                    </div>
+                                  )}
+                                  {payment?.negativeAmortization && (
+                                    <div className="text-xs text-red-700 mt-1">Growing</div>
+                                  )}
+                                  {payment?.newCharges > 0 && (
+                                    <div className="text-xs text-yellow-700 mt-1">+{formatCurrency(payment.newCharges)} new charges</div>
+                                  )}
                                 </td>
                                 <td className={`px-6 py-4 text-sm text-center ${isExtraPayment ? 'bg-green-50 text-green-700 font-semibold' : paymentAmount === 0 ? 'text-gray-400' : 'text-gray-900'}`}>
                                   {paymentAmount > 0 ? formatCurrency(paymentAmount) : '—'}
+                                  {hasNewSpending && paymentAmount > 0 && (
+                                    <div className="text-xs font-normal text-gray-500 mt-1">
+                                      {formatCurrency(payment.interestCharged + payment.feeCharged)} interest · {formatCurrency(payment.principalPaid)} principal
+                                    </div>
+                                  )}
+                                  {payment?.chargesPaidInFull > 0 && (
+                                    <div className="text-xs font-normal text-gray-500 mt-1">+{formatCurrency(payment.chargesPaidInFull)} purchases paid in full</div>
+                                  )}
+                                  {payment?.escrowPaid > 0 && (
+                                    <div className="text-xs font-normal text-gray-500 mt-1">+{formatCurrency(payment.escrowPaid)} escrow</div>
+                                  )}
                                 </td>
                               </React.Fragment>
                             );
                           })}
+                          {hasEmergencyFund && (
+                            <td className="px-6 py-4 text-sm text-gray-900 text-right">
+                              {formatCurrency(month.savingsBalance)}
+                              {month.savingsDeposit > 0 && (
+                                <div className="text-xs text-green-700 mt-1">+{formatCurrency(month.savingsDeposit)} saved</div>
+                              )}
+                              {month.emergencyWithdrawal > 0 && (
+                                <div className="text-xs text-red-700 mt-1">−{formatCurrency(month.emergencyWithdrawal)} emergency</div>
+                              )}
+                              {month.emergencyCharged > 0 && (
+                                <div className="text-xs text-red-700 mt-1">
+                                  {formatCurrency(month.emergencyCharged)} emergency on {state.debts.find(debt => debt.id === month.emergencyCardId)?.name}
+                                </div>
+                              )}
+                              {month.emergencyFromBudget > 0 && (
+                                <div className="text-xs text-red-700 mt-1">{formatCurrency(month.emergencyFromBudget)} of emergency from budget</div>
+                              )}
+                              {getMonthEvents(month.month, 'emergency-fund-full').length > 0 && (
+                                <div className="text-xs text-green-700 mt-1">Fund full</div>
+                              )}
+                            </td>
+                          )}
                           <td className="px-6 py-4 text-sm text-gray-900 text-right font-semibold">
                             {formatCurrency(monthlyTotal)}
                           </td>
@@ -340,7 +507,8 @@ export default function PlanDetails() {
             ) : (
               // CARD VIEW (for 4+ debts)
               <div className="grid grid-cols-1 gap-4 mb-6">
-                {monthlyPayments.slice(0, displayCount).map((month) => {
+                {monthlyPayments.slice(0, displayCount).map((month, monthIndex) => {
+                  const budgetChange = getBudgetChange(monthIndex);
                   const monthlyTotal = month.debtPayments.reduce((sum, p) => sum + p.payment, 0);
                   const extraPaymentDebts = month.debtPayments.filter(p => p.extraPayment > 0);
                   
@@ -348,16 +516,51 @@ export default function PlanDetails() {
                     <div key={month.month} className="bg-white border border-gray-200 rounded-lg p-6">
                       <div className="flex items-center justify-between mb-4">
                         <h4 className="text-lg font-semibold text-gray-900">
-                          Month {month.month}
+                          {formatMonthYear(month.date)}
+                          <span className="ml-2 text-xs font-normal text-gray-500">Month {month.month}</span>
+                          {usesDailyInterest && (
+                            <span className="ml-2 text-xs font-normal text-gray-500">{month.daysInCycle}-day cycle</span>
+                          )}
+                          {paysMoreThanMonthly && (
+                            <span className="ml-2 text-xs font-normal text-gray-500">{month.paymentDays.length} payments</span>
+                          )}
                           {extraPaymentDebts.length > 1 && (
                             <span className="ml-2 text-xs text-green-600 bg-green-100 px-2 py-1 rounded-full">
                               Multiple payments
                             </span>
                           )}
+                          {month.oneTimePayment > 0 && (
+                            <span className="ml-2 text-xs text-purple-700 bg-purple-100 px-2 py-1 rounded-full">
+                              Lump sum {formatCurrency(month.oneTimePayment)}
+                            </span>
+                          )}
+                          {month.rateChanges?.length > 0 && (
+                            <span className="ml-2 text-xs text-red-700 bg-red-100 px-2 py-1 rounded-full">
+                              Rate change
+                            </span>
+                          )}
+                          {getMonthEvents(month.month, 'rollover').map(rollover => (
+                            <span key={rollover.fromDebtId} className="ml-2 text-xs text-green-600 bg-green-100 px-2 py-1 rounded-full">
+                              Rollover to {getDebtName(rollover.toDebtId)}
+                            </span>
+                          ))}
+                          {getThresholdsReached(month.month).map(threshold => (
+                            <span key={threshold} className="ml-2 text-xs text-green-600 bg-green-100 px-2 py-1 rounded-full">
+                              Under {threshold}% utilization
+                            </span>
+                          ))}
+                          {budgetChange && (
+                            <span className="ml-2 text-xs text-blue-700 bg-blue-100 px-2 py-1 rounded-full">
+                              Budget {budgetChange.increased ? '↑' : '↓'} {formatCurrency(budgetChange.budget)}
+                            </span>
+                          )}
                         </h4>
                         <div className="text-right">
                           <div className="text-sm text-gray-600">Total Payment</div>
                           <div className="text-lg font-semibold text-gray-900">{formatCurrency(monthlyTotal)}</div>
+                          {utilization && (
+                            <div className="text-xs text-gray-500">{formatPercent(getMonthUtilization(monthIndex))} utilization</div>
+                          )}
                         </div>
                       </div>
                       
@@ -367,7 +570,8 @@ export default function PlanDetails() {
                           const isExtraPayment = payment?.extraPayment > 0;
                           const balance = payment?.balance || 0;
                           const paymentAmount = payment?.payment || 0;
-                          const isPaidOff = balance === 0 && paymentAmount > 0;
+                          const isPaidOff = getMonthEvents(month.month, 'paid-off').some(event => event.debtId === debt.id);
+                          const isForgiven = payment?.forgiven > 0;
                           
                           return (
                             <div 
@@ -383,24 +587,189 @@ export default function PlanDetails() {
                               <div className="space-y-2">
                                 <div className="flex justify-between">
                                   <span className="text-sm text-gray-600">Balance:</span>
-                                  <span className={`text-sm font-medium ${isPaidOff ? 'text-gray-400' : 'text-gray-900'}`}>
+                                  <span className={`text-sm font-medium ${isPaidOff || isForgiven ? 'text-gray-400' : 'text-gray-900'}`}>
                                     {isPaidOff ? (
                                       <span className="text-green-600">PAID OFF</span>
+                                    ) : isForgiven ? (
+                                      <span className="text-blue-600">FORGIVEN</span>
                                     ) : (
                                       formatCurrency(balance)
                                     )}
                                   </span>
                                 </div>
+                                {hasCreditLimit(debt) && balance > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Utilization:</span>
+                                    <span className="text-sm font-medium text-gray-900">
+                                      {formatPercent(getUtilization(balance, debt.creditLimit))}
+                                    </span>
+                                  </div>
+                                )}
+                                {payment?.pauseType && (
+                                  <div className="text-xs text-gray-500">{PAUSE_TYPE_LABELS[payment.pauseType]}: no payment due</div>
+                                )}
+                                {payment?.negativeAmortization && (
+                                  <div className="text-xs text-red-700">Payment below interest, balance growing</div>
+                                )}
                                 <div className="flex justify-between">
                                   <span className="text-sm text-gray-600">Payment:</span>
                                   <span className={`text-sm font-medium ${isExtraPayment ? 'text-green-600' : paymentAmount === 0 ? 'text-gray-400' : 'text-gray-900'}`}>
                                     {paymentAmount > 0 ? formatCurrency(paymentAmount) : '—'}
                                   </span>
                                 </div>
+                                {payment?.newCharges > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">New charges:</span>
+                                    <span className="text-sm font-medium text-yellow-700">
+                                      +{formatCurrency(payment.newCharges)}
+                                    </span>
+                                  </div>
+                                )}
+                                {payment?.chargesPaidInFull > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Purchases paid in full:</span>
+                                    <span className="text-sm font-medium text-gray-900">
+                                      {formatCurrency(payment.chargesPaidInFull)}
+                                    </span>
+                                  </div>
+                                )}
+                                {hasNewSpending && paymentAmount > 0 && (
+                                  <>
+                                    <div className="flex justify-between">
+                                      <span className="text-sm text-gray-600">Interest & fees:</span>
+                                      <span className="text-sm font-medium text-gray-900">
+                                        {formatCurrency(payment.interestCharged + payment.feeCharged)}
+                                      </span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                      <span className="text-sm text-gray-600">Principal:</span>
+                                      <span className="text-sm font-medium text-gray-900">
+                                        {formatCurrency(payment.principalPaid)}
+                                      </span>
+                                    </div>
+                                  </>
+                                )}
+                                {debt.interestMethod === 'daily' && payment?.interestCharged > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Interest ({month.daysInCycle} days):</span>
+                                    <span className="text-sm font-medium text-gray-900">
+                                      {formatCurrency(payment.interestCharged)}
+                                    </span>
+                                  </div>
+                                )}
+                                {month.rateChanges?.filter(change => change.debtId === debt.id).map(change => (
+                                  <div key={change.debtId} className="flex justify-between">
+                                    <span className="text-sm text-gray-600">New rate:</span>
+                                    <span className="text-sm font-medium text-red-700">
+                                      {change.fromApr.toFixed(2)}% → {change.toApr.toFixed(2)}%
+                                    </span>
+                                  </div>
+                                ))}
+                                {payment?.deferredInterestCharged > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Deferred interest:</span>
+                                    <span className="text-sm font-medium text-red-700">
+                                      {formatCurrency(payment.deferredInterestCharged)}
+                                    </span>
+                                  </div>
+                                )}
+                                {payment?.escrowPaid > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Escrow:</span>
+                                    <span className="text-sm font-medium text-gray-900">
+                                      {formatCurrency(payment.escrowPaid)}
+                                    </span>
+                                  </div>
+                                )}
+                                {debt.mortgage && payment?.feeCharged > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">PMI:</span>
+                                    <span className="text-sm font-medium text-gray-900">
+                                      {formatCurrency(payment.feeCharged)}
+                                    </span>
+                                  </div>
+                                )}
+                                {getMonthEvents(month.month, 'pmi-removed').some(event => event.debtId === debt.id) && (
+                                  <div className="text-xs text-green-700">PMI removed from next month</div>
+                                )}
+                                {getMonthEvents(month.month, 'recast').filter(event => event.debtId === debt.id).map(recast => (
+                                  <div key={recast.debtId} className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Recast:</span>
+                                    <span className="text-sm font-medium text-green-700">
+                                      {formatCurrency(recast.fromPayment)} → {formatCurrency(recast.toPayment)}
+                                    </span>
+                                  </div>
+                                ))}
+                                {payment?.capitalizedInterest > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Interest capitalized:</span>
+                                    <span className="text-sm font-medium text-red-700">
+                                      {formatCurrency(payment.capitalizedInterest)}
+                                    </span>
+                                  </div>
+                                )}
+                                {isForgiven && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Forgiven:</span>
+                                    <span className="text-sm font-medium text-blue-700">
+                                      {formatCurrency(payment.forgiven)}
+                                    </span>
+                                  </div>
+                                )}
+                                {payment?.lumpSumPayment > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-600">Lump sum:</span>
+                                    <span className="text-sm font-medium text-purple-700">
+                                      {formatCurrency(payment.lumpSumPayment)}
+                                    </span>
+                                  </div>
+                                )}
                               </div>
                             </div>
                           );
                         })}
+                        {hasEmergencyFund && (
+                          <div className={`rounded-lg p-4 border ${month.savingsDeposit > 0 ? 'bg-green-50 border-green-200' : 'bg-gray-50 border-gray-200'}`}>
+                            <h5 className="font-semibold text-gray-900 mb-2">
+                              Emergency Fund
+                              {getMonthEvents(month.month, 'emergency-fund-full').length > 0 && (
+                                <span className="block text-sm font-normal text-green-700">Target reached</span>
+                              )}
+                            </h5>
+                            <div className="space-y-1">
+                              <div className="flex justify-between">
+                                <span className="text-sm text-gray-600">Savings:</span>
+                                <span className="text-sm font-medium text-gray-900">{formatCurrency(month.savingsBalance)}</span>
+                              </div>
+                              {month.savingsDeposit > 0 && (
+                                <div className="flex justify-between">
+                                  <span className="text-sm text-gray-600">Saved:</span>
+                                  <span className="text-sm font-medium text-green-700">{formatCurrency(month.savingsDeposit)}</span>
+                                </div>
+                              )}
+                              {month.emergencyWithdrawal > 0 && (
+                                <div className="flex justify-between">
+                                  <span className="text-sm text-gray-600">Emergency:</span>
+                                  <span className="text-sm font-medium text-red-700">−{formatCurrency(month.emergencyWithdrawal)}</span>
+                                </div>
+                              )}
+                              {month.emergencyCharged > 0 && (
+                                <div className="flex justify-between">
+                                  <span className="text-sm text-gray-600">
+                                    Emergency on {state.debts.find(debt => debt.id === month.emergencyCardId)?.name}:
+                                  </span>
+                                  <span className="text-sm font-medium text-red-700">{formatCurrency(month.emergencyCharged)}</span>
+                                </div>
+                              )}
+                              {month.emergencyFromBudget > 0 && (
+                                <div className="flex justify-between">
+                                  <span className="text-sm text-gray-600">Emergency from budget:</span>
+                                  <span className="text-sm font-medium text-red-700">{formatCurrency(month.emergencyFromBudget)}</span>
+                                </div>
+                              )}
+                            </div>
+                          </div>
+                        )}
                       </div>
                     </div>
                   );
@@ -426,6 +795,44 @@ export default function PlanDetails() {
                   <span className="text-gray-400 text-lg font-bold">—</span>
                   <span className="text-gray-700">No payment required</span>
                 </div>
+                <div className="flex items-center space-x-2">
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-purple-700 bg-purple-100">
+                    Lump sum
+                  </span>
+                  <span className="text-gray-700">One-time payment applied</span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-red-700 bg-red-100">
+                    Rate change
+                  </span>
+                  <span className="text-gray-700">Intro rate ended or scheduled APR change</span>
+                </div>
+                {selectedStrategy !== 'minimum' && (
+                  <div className="flex items-center space-x-2">
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-green-600 bg-green-100">
+                      Rollover
+                    </span>
+                    <span className="text-gray-700">A paid-off debt's payment moves to the next debt</span>
+                  </div>
+                )}
+                <div className="flex items-center space-x-2">
+                  <span className="text-xs font-medium text-red-700">Growing</span>
+                  <span className="text-gray-700">Payment below interest, unpaid interest added to balance</span>
+                </div>
+                {state.extraPaymentSchedule.length > 0 && (
+                  <div className="flex items-center space-x-2">
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-blue-700 bg-blue-100">
+                      Budget ↑
+                    </span>
+                    <span className="text-gray-700">Scheduled extra payment change</span>
+                  </div>
+                )}
+                {hasNewSpending && (
+                  <div className="flex items-center space-x-2">
+                    <span className="text-xs font-medium text-yellow-700">+ new charges</span>
+                    <span className="text-gray-700">Card purchases added to the balance this month</span>
+                  </div>
+                )}
               </div>
             </div>
             
@@ -454,18 +861,70 @@ export default function PlanDetails() {
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 mb-8">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
           <div className="text-center">
-            <div className="text-4xl font-bold text-gray-900 mb-2">{months}</div>
-            <div className="text-lg text-gray-600">months to payoff</div>
+            {isFeasible ? (
+              <>
+                <div className="text-4xl font-bold text-gray-900 mb-2">{months}</div>
+                <div className="text-lg text-gray-600">months to payoff</div>
+                <div className="text-sm text-gray-500 mt-1">Debt-free by {formatMonthYear(strategyData.debtFreeDate)}</div>
+                {utilization?.thresholds.filter(reached => reached.month > 0).map(reached => (
+                  <div key={reached.threshold} className="text-sm text-gray-500 mt-1">
+                    Under {reached.threshold}% credit utilization by {formatMonthYear(reached.date)}
+                  </div>
+                ))}
+              </>
+            ) : (
+              <>
+                <div className="text-4xl font-bold text-red-700 mb-2">Never</div>
+                <div className="text-lg text-gray-600">paid off at these payments</div>
+              </>
+            )}
           </div>
           <div className="text-center">
             <div className="text-4xl font-bold text-gray-900 mb-2">{formatCurrency(totalPaid)}</div>
-            <div className="text-lg text-gray-600">total cost</div>
+            <div className="text-lg text-gray-600">{isFeasible ? 'total cost' : `paid in the first ${months} months`}</div>
+            {strategyData.totalFees - strategyData.totalPmi > 0 && (
+              <div className="text-sm text-gray-500 mt-1">includes {formatCurrency(strategyData.totalFees - strategyData.totalPmi)} in card fees</div>
+            )}
+            {strategyData.totalPmi > 0 && (
+              <div className="text-sm text-gray-500 mt-1">includes {formatCurrency(strategyData.totalPmi)} in mortgage insurance (PMI)</div>
+            )}
+            {strategyData.totalEscrow > 0 && (
+              <div className="text-sm text-gray-500 mt-1">plus {formatCurrency(strategyData.totalEscrow)} of escrow for taxes and insurance</div>
+            )}
+            {strategyData.totalNewCharges > 0 && (
+              <div className="text-sm text-gray-500 mt-1">includes {formatCurrency(strategyData.totalNewCharges)} of new card purchases</div>
+            )}
+            {strategyData.totalForgiven > 0 && (
+              <div className="text-sm text-gray-500 mt-1">plus {formatCurrency(strategyData.totalForgiven)} of student loans forgiven</div>
+            )}
+            {strategyData.taxBenefit > 0 && (
+              <div className="text-sm text-gray-500 mt-1">
+                {formatCurrency(totalInterest)} interest, less a {formatCurrency(strategyData.taxBenefit)} tax benefit from deductible interest
+              </div>
+            )}
+            {strategyData.totalSavingsDeposits > 0 && (
+              <div className="text-sm text-gray-500 mt-1">
+                plus {formatCurrency(strategyData.totalSavingsDeposits)} set aside in your emergency fund
+              </div>
+            )}
+            {strategyData.unpaidEmergency > 0 && (
+              <div className="text-sm text-red-700 mt-1">
+                {formatCurrency(strategyData.unpaidEmergency)} of the emergency is never covered: savings fall short, there's no card to put it on,
+                and this plan has no money beyond the minimums
+              </div>
+            )}
+            {strategyData.discountRate > 0 && (
+              <div className="text-sm text-gray-500 mt-1">
+                worth {formatCurrency(strategyData.presentValueTotalPaid)} in today's dollars
+                ({formatCurrency(strategyData.presentValueTotalInterest)} of interest) at {strategyData.discountRate}% inflation
+              </div>
+            )}
           </div>
         </div>
       </div>
       
       {/* Savings Summary */}
-      {minimumResult && minimumResult !== strategyData && savings.interest > 0 && (
+      {minimumResult && minimumResult !== strategyData && isFeasible && minimumResult.feasible !== false && savings.interest > 0 && (
         <div className="bg-green-50 border border-green-200 rounded-lg p-6 mb-8">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Savings vs Minimum Payments</h3>
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
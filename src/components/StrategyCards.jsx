@@ -1,6 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { useApp } from '../context/AppContext';
-import { calculateMinimum, calculateAvalanche, calculateSnowball } from '../utils/repaymentStrategies';
+import { calculateMinimum, calculateAvalanche, calculateAfterTaxAvalanche, calculateSnowball, calculateCustomOrder, getRepaymentCost } from '../utils/repaymentStrategies';
+import { applyBalanceTransfer, calculateTransferFee, getTransferredDebts, getTransferredSpending, retargetOneTimePayments } from '../utils/balanceTransfer';
+import InfeasiblePlanWarning from './InfeasiblePlanWarning';
+import { formatMonthYear } from '../utils/dates';
+import { getMortgageIds } from '../utils/mortgages';
+import { isInterestDeductible } from '../utils/taxes';
 
 // Collapsible Info Box Component
 const CollapsibleInfo = ({ title, icon, children, defaultExpanded = false }) => {
@@ -43,21 +48,70 @@ const CollapsibleInfo = ({ title, icon, children, defaultExpanded = false }) =>
 
 export default function StrategyCards() {
   const { state, dispatch } = useApp();
-  const { debts, extraMonthlyPayment, selectedStrategy } = state;
+  const { debts, extraMonthlyPayment, extraPaymentSchedule, oneTimePayments, planStartDate, paymentFrequency, balanceTransfer, excludeMortgageFromExtra, marginalTaxRate, discountRate, emergencyFund, selectedStrategy } = state;
+  const mortgageIds = getMortgageIds(debts);
+  const [comparisonBasis, setComparisonBasis] = useState('nominal'); // 'nominal' or 'real'
 
   useEffect(() => {
     // Calculate results for all strategies when this component mounts
     if (debts.length > 0) {
-      const minimum = calculateMinimum(debts);
-      const avalanche = calculateAvalanche(debts, extraMonthlyPayment);
-      const snowball = calculateSnowball(debts, extraMonthlyPayment);
+      // Excluded mortgages keep their regular payment in the budget but never get extra money
+      const excludedDebtIds = excludeMortgageFromExtra ? getMortgageIds(debts) : [];
+      const options = { oneTimePayments, extraPaymentSchedule, startDate: planStartDate, paymentFrequency, excludedDebtIds, marginalTaxRate, discountRate, emergencyFund };
+      const minimum = calculateMinimum(debts, options);
+      const avalanche = calculateAvalanche(debts, extraMonthlyPayment, options);
+      const snowball = calculateSnowball(debts, extraMonthlyPayment, options);
+      const custom = calculateCustomOrder(debts, extraMonthlyPayment, options);
+      
+      // With deductible interest, the avalanche is also run on after-tax rates
+      const afterTaxAvalanche = marginalTaxRate > 0 && debts.some(isInterestDeductible)
+        ? calculateAfterTaxAvalanche(debts, extraMonthlyPayment, options)
+        : null;
+      
+      // Run the same strategies on the debts as they'd be after the balance transfer,
+      // keeping each strategy's monthly budget so only the transfer differs. The
+      // moved cards' purchases are now paid in full out of that budget
+      let transferResults = null;
+      if (balanceTransfer && getTransferredDebts(debts, balanceTransfer).length > 0) {
+        const transferDebts = applyBalanceTransfer(debts, balanceTransfer);
+        const transferredSpending = getTransferredSpending(debts, balanceTransfer);
+        const transferOptions = {
+          oneTimePayments: retargetOneTimePayments(oneTimePayments, balanceTransfer),
+          extraPaymentSchedule,
+          startDate: planStartDate,
+          paymentFrequency,
+          excludedDebtIds,
+          marginalTaxRate,
+          discountRate,
+          emergencyFund
+        };
+        transferResults = {
+          fee: calculateTransferFee(debts, balanceTransfer),
+          minimum: calculateMinimum(transferDebts, transferOptions),
+          avalanche: calculateAvalanche(transferDebts, extraMonthlyPayment, { ...transferOptions, monthlyBudget: avalanche.monthlyBudget - transferredSpending }),
+          snowball: calculateSnowball(transferDebts, extraMonthlyPayment, { ...transferOptions, monthlyBudget: snowball.monthlyBudget - transferredSpending }),
+          custom: calculateCustomOrder(transferDebts, extraMonthlyPayment, { ...transferOptions, monthlyBudget: custom.monthlyBudget - transferredSpending })
+        };
+      }
+      
+      // Paying more often than monthly is compared with the same plans paid monthly
+      let monthlyFrequencyResults = null;
+      if (paymentFrequency !== 'monthly') {
+        const monthlyOptions = { ...options, paymentFrequency: 'monthly' };
+        monthlyFrequencyResults = {
+          minimum: calculateMinimum(debts, monthlyOptions),
+          avalanche: calculateAvalanche(debts, extraMonthlyPayment, monthlyOptions),
+          snowball: calculateSnowball(debts, extraMonthlyPayment, monthlyOptions),
+          custom: calculateCustomOrder(debts, extraMonthlyPayment, monthlyOptions)
+        };
+      }
       
       dispatch({
         type: 'SET_RESULTS',
-        payload: { minimum, avalanche, snowball }
+        payload: { minimum, avalanche, snowball, custom, afterTaxAvalanche, balanceTransfer: transferResults, monthlyFrequency: monthlyFrequencyResults }
       });
     }
-  }, [debts, extraMonthlyPayment, dispatch]);
+  }, [debts, extraMonthlyPayment, extraPaymentSchedule, oneTimePayments, planStartDate, paymentFrequency, balanceTransfer, excludeMortgageFromExtra, marginalTaxRate, discountRate, emergencyFund, dispatch]);
 
   const handleSelectStrategy = (strategy) => {
     dispatch({ type: 'SET_STRATEGY', payload: strategy });
@@ -129,6 +183,27 @@ export default function StrategyCards() {
         'Could cost more over time than avalanche'
       ],
       bestFor: 'People who need motivation and psychological wins to stay on track'
+    },
+    {
+      id: 'custom',
+      title: 'Custom Order',
+      subtitle: 'If you pay off debts in the order you chose, then you would pay...',
+      results: state.results?.custom,
+      bgColor: 'bg-royal-blue',
+      buttonColor: 'bg-royal-blue',
+      description: 'Pay the minimum on all debts, then send extra money to debts in your own priority order.',
+      howItWorks: 'You pay the minimum on all debts and send any extra money to the debts in the order you arranged them on the debt list',
+      pros: [
+        'Lets you test your own hunches against the classic strategies',
+        'Can reflect priorities the math ignores, like a loan from family',
+        'Still rolls payments over as each debt is paid off'
+      ],
+      cons: [
+        'May cost more than the avalanche method',
+        'Easy to pick an order that feels right but costs more',
+        'Requires you to rearrange debts to try different orders'
+      ],
+      bestFor: 'Anyone who wants to compare their own plan with avalanche and snowball'
     }
   ];
 
@@ -137,11 +212,95 @@ export default function StrategyCards() {
   };
 
   const totalDebt = debts.reduce((sum, debt) => sum + debt.balance, 0);
+  const transferResults = state.results?.balanceTransfer;
+  const monthlyFrequencyResults = state.results?.monthlyFrequency;
+
+  // How a strategy's plan changes if the balance transfer goes ahead
+  const getTransferOutcome = (strategyId) => {
+    const current = state.results[strategyId];
+    const transfer = transferResults[strategyId];
+    if (transfer.feasible === false) {
+      return { tone: 'text-orange', headline: 'Transfer plan never pays off', detail: null };
+    }
+    if (current.feasible === false) {
+      return { tone: 'text-bright-green', headline: `Transfer gets you debt-free in ${transfer.months} months`, detail: null };
+    }
+    // Purchases are left out of both plans, since the transfer plan pays the
+    // moved cards' purchases in full instead of carrying them
+    const savings = getRepaymentCost(current) - getRepaymentCost(transfer);
+    const monthsSaved = current.months - transfer.months;
+    const timing = monthsSaved === 0 ? 'same payoff date' : `${Math.abs(monthsSaved)} months ${monthsSaved > 0 ? 'sooner' : 'later'}`;
+    return savings > 0
+      ? { tone: 'text-bright-green', headline: `Transfer saves ${formatCurrency(savings)}`, detail: `after the ${formatCurrency(transferResults.fee)} fee, ${timing}` }
+      : { tone: 'text-orange', headline: `Transfer costs ${formatCurrency(-savings)} more`, detail: `including the ${formatCurrency(transferResults.fee)} fee, ${timing}` };
+  };
+
+  // How much paying biweekly or semi-monthly gains over paying monthly
+  const getFrequencyOutcome = (strategyId) => {
+    const current = state.results[strategyId];
+    const monthly = monthlyFrequencyResults[strategyId];
+    if (current.feasible === false) {
+      return { tone: 'text-orange', headline: 'Still never pays off', detail: null };
+    }
+    if (monthly.feasible === false) {
+      return { tone: 'text-bright-green', headline: `Debt-free in ${current.months} months`, detail: 'monthly payments never finish' };
+    }
+    const monthsSaved = monthly.months - current.months;
+    const interestSaved = monthly.totalInterest - current.totalInterest;
+    return {
+      tone: monthsSaved > 0 || interestSaved > 0 ? 'text-bright-green' : 'text-navy-blue',
+      headline: monthsSaved > 0 ? `${monthsSaved} months sooner` : 'Same payoff date',
+      detail: `${formatCurrency(Math.abs(interestSaved))} ${interestSaved >= 0 ? 'less' : 'more'} interest than paying monthly`
+    };
+  };
+
+  const frequencyLabel = paymentFrequency === 'biweekly' ? 'Paying biweekly' : 'Paying semi-monthly';
+  const afterTaxResults = state.results?.afterTaxAvalanche;
+
+  // How ranking by after-tax rate changes the avalanche, counting the tax saved
+  const getAfterTaxOutcome = () => {
+    const avalanche = state.results.avalanche;
+    if (afterTaxResults.feasible === false) {
+      return { tone: 'text-orange', headline: 'Never pays off', detail: null };
+    }
+    const afterTaxCost = afterTaxResults.totalInterest - afterTaxResults.taxBenefit;
+    if (avalanche.feasible === false) {
+      return { tone: 'text-bright-green', headline: `Debt-free in ${afterTaxResults.months} months`, detail: `${formatCurrency(afterTaxCost)} interest after taxes` };
+    }
+    const savings = avalanche.totalInterest - avalanche.taxBenefit - afterTaxCost;
+    return {
+      tone: savings > 0 ? 'text-bright-green' : 'text-navy-blue',
+      headline: savings > 0 ? `Saves ${formatCurrency(savings)} after taxes` : 'Same after-tax cost',
+      detail: `${formatCurrency(afterTaxCost)} interest after taxes, ${afterTaxResults.months} months`
+    };
+  };
 
   return (
     <div className="space-y-8">
+      {/* Mortgage Toggle */}
+      {mortgageIds.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <label className="flex items-start text-sm text-navy-blue">
+            <input
+              type="checkbox"
+              className="mr-2 mt-1"
+              style={{ width: 'auto', display: 'inline-block' }}
+              checked={!excludeMortgageFromExtra}
+              onChange={() => dispatch({ type: 'SET_EXCLUDE_MORTGAGE_FROM_EXTRA', payload: !excludeMortgageFromExtra })}
+            />
+            <span>
+              <span className="font-bold">Send extra money to the mortgage too</span>
+              <span className="block text-gray-600">
+                Unchecked, the mortgage only gets its regular payment and the avalanche and snowball work on your other debts.
+                Its payment still counts toward your monthly budget.
+              </span>
+            </span>
+          </label>
+        </div>
+      )}
+      
       {/* Strategy Cards */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
         {strategies.map((strategy) => {
           return (
             <div 
@@ -164,23 +323,83 @@ export default function StrategyCards() {
                 {strategy.results ? (
                   <>
                     {/* Key Metrics - Fixed Height */}
-                    <div className="text-center mb-6" style={{ minHeight: '120px' }}>
-                      <div className="text-3xl font-bold text-navy-blue mb-2">
-                        {formatCurrency(strategy.results.totalPaid)}
+                    {strategy.results.feasible === false ? (
+                      <div className="mb-6" style={{ minHeight: '120px' }}>
+                        <InfeasiblePlanWarning reasons={strategy.results.infeasibleReasons} compact />
                       </div>
-                      <div className="text-sm text-gray-600 mb-4">total cost</div>
+                    ) : (
+                      <div className="text-center mb-6" style={{ minHeight: '120px' }}>
+                        <div className="text-3xl font-bold text-navy-blue mb-2">
+                          {formatCurrency(strategy.results.totalPaid)}
+                        </div>
+                        <div className="text-sm text-gray-600 mb-4">total cost</div>
                       
-                      <div className="flex items-center justify-center space-x-4 text-sm">
-                        <div className="text-center">
-                          <div className="text-xl font-bold text-navy-blue">{strategy.results.months}</div>
-                          <div className="text-gray-600">months</div>
+                        <div className="flex items-center justify-center space-x-4 text-sm">
+                          <div className="text-center">
+                            <div className="text-xl font-bold text-navy-blue">{strategy.results.months}</div>
+                            <div className="text-gray-600">months</div>
+                          </div>
+                          <div className="text-center">
+                            <div className="text-xl font-bold text-orange">{formatCurrency(strategy.results.totalInterest)}</div>
+                            <div className="text-gray-600">interest</div>
+                            {strategy.results.taxBenefit > 0 && (
+                              <div className="text-xs text-bright-green">−{formatCurrency(strategy.results.taxBenefit)} tax benefit</div>
+                            )}
+                          </div>
                         </div>
-                        <div className="text-center">
-                          <div className="text-xl font-bold text-orange">{formatCurrency(strategy.results.totalInterest)}</div>
-                          <div className="text-gray-600">interest</div>
+                        <div className="text-sm text-gray-600 mt-3">
+                          Debt-free by <span className="font-bold text-navy-blue">{formatMonthYear(strategy.results.debtFreeDate)}</span>
                         </div>
+                        {strategy.results.totalForgiven > 0 && (
+                          <div className="text-sm text-gray-600 mt-1">
+                            <span className="font-bold text-bright-green">{formatCurrency(strategy.results.totalForgiven)}</span> forgiven
+                          </div>
+                        )}
                       </div>
-                    </div>
+                    )}
+                      
+                    {/* Payment Frequency Outcome */}
+                    {monthlyFrequencyResults && (() => {
+                      const outcome = getFrequencyOutcome(strategy.id);
+                      return (
+                        <div className="bg-soft-blue-tint rounded-md p-3 mb-6 text-center">
+                          <div className="text-xs font-bold text-navy-blue uppercase tracking-wide mb-1">{frequencyLabel}</div>
+                          <div className={`text-sm font-bold ${outcome.tone}`}>{outcome.headline}</div>
+                          {outcome.detail && <div className="text-xs text-gray-600">{outcome.detail}</div>}
+                        </div>
+                      );
+                    })()}
+                      
+                    {/* After-Tax Avalanche Outcome */}
+                    {strategy.id === 'avalanche' && afterTaxResults && (() => {
+                      const outcome = getAfterTaxOutcome();
+                      return (
+                        <div className="bg-soft-blue-tint rounded-md p-3 mb-6 text-center">
+                          <div className="text-xs font-bold text-navy-blue uppercase tracking-wide mb-1">Ranked by after-tax rate</div>
+                          <div className={`text-sm font-bold ${outcome.tone}`}>{outcome.headline}</div>
+                          {outcome.detail && <div className="text-xs text-gray-600">{outcome.detail}</div>}
+                          <button
+                            type="button"
+                            onClick={() => handleSelectStrategy('afterTaxAvalanche')}
+                            className="text-xs font-bold text-bright-blue underline mt-1"
+                          >
+                            View after-tax plan
+                          </button>
+                        </div>
+                      );
+                    })()}
+                      
+                    {/* Balance Transfer Outcome */}
+                    {transferResults && (() => {
+                      const outcome = getTransferOutcome(strategy.id);
+                      return (
+                        <div className="bg-soft-blue-tint rounded-md p-3 mb-6 text-center">
+                          <div className="text-xs font-bold text-navy-blue uppercase tracking-wide mb-1">With balance transfer</div>
+                          <div className={`text-sm font-bold ${outcome.tone}`}>{outcome.headline}</div>
+                          {outcome.detail && <div className="text-xs text-gray-600">{outcome.detail}</div>}
+                        </div>
+                      );
+                    })()}
                       
                     {/* Educational Content - Collapsible - Flexible Height */}
                     <div className="space-y-3 mb-6 flex-grow">
@@ -293,12 +512,35 @@ export default function StrategyCards() {
             See how much you could save in interest costs by choosing an accelerated repayment strategy.
           </p>
           
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {discountRate > 0 && (
+            <div className="flex justify-center space-x-2 mb-6">
+              <button
+                type="button"
+                onClick={() => setComparisonBasis('nominal')}
+                className={`px-4 py-2 rounded-md text-sm font-medium ${comparisonBasis === 'nominal' ? 'bg-bright-blue text-white' : 'bg-soft-blue-tint text-navy-blue'}`}
+              >
+                Dollars as paid
+              </button>
+              <button
+                type="button"
+                onClick={() => setComparisonBasis('real')}
+                className={`px-4 py-2 rounded-md text-sm font-medium ${comparisonBasis === 'real' ? 'bg-bright-blue text-white' : 'bg-soft-blue-tint text-navy-blue'}`}
+              >
+                Today's dollars ({discountRate}% inflation)
+              </button>
+            </div>
+          )}
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
             {strategies.map((strategy) => {
               if (!strategy.results) return null;
               
-              const minInterest = state.results.minimum?.totalInterest || 0;
-              const currentInterest = strategy.results.totalInterest;
+              const minimumFeasible = state.results.minimum?.feasible !== false;
+              const isFeasible = strategy.results.feasible !== false;
+              // Real totals discount each month's interest back to today's dollars
+              const interestField = comparisonBasis === 'real' && discountRate > 0 ? 'presentValueTotalInterest' : 'totalInterest';
+              const minInterest = state.results.minimum?.[interestField] || 0;
+              const currentInterest = strategy.results[interestField];
               const savings = minInterest - currentInterest;
               const savingsPercent = minInterest > 0 ? ((savings / minInterest) * 100) : 0;
               
@@ -310,12 +552,30 @@ export default function StrategyCards() {
                   <h4 className="text-sm font-bold text-navy-blue uppercase mb-3 tracking-wide">
                     {strategy.title}
                   </h4>
-                  <div className="text-2xl font-bold text-orange mb-1">
-                    {formatCurrency(currentInterest)}
-                  </div>
-                  <div className="text-sm text-gray-600 mb-3">total interest</div>
+                  {isFeasible ? (
+                    <>
+                      <div className="text-2xl font-bold text-orange mb-1">
+                        {formatCurrency(currentInterest)}
+                      </div>
+                      <div className="text-sm text-gray-600 mb-3">
+                        {interestField === 'presentValueTotalInterest' ? "total interest in today's dollars" : 'total interest'}
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div className="text-2xl font-bold text-red-700 mb-1">Never paid off</div>
+                      <div className="text-sm text-gray-600 mb-3">interest keeps growing</div>
+                    </>
+                  )}
+                  
+                  {strategy.id !== 'minimum' && isFeasible && !minimumFeasible && (
+                    <div className="pt-3 border-t border-gray-200">
+                      <div className="text-lg font-bold text-bright-green mb-1">Debt-free in {strategy.results.months} months</div>
+                      <div className="text-sm text-gray-600">(minimum payments never finish)</div>
+                    </div>
+                  )}
                   
-                  {strategy.id !== 'minimum' && (
+                  {strategy.id !== 'minimum' && isFeasible && minimumFeasible && (
                     <div className="pt-3 border-t border-gray-200">
                       <div className="text-lg font-bold text-bright-green mb-1">
                         {savings > 0 ? `Save ${formatCurrency(savings)}` : 'No savings'}
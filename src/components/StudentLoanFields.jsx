@@ -0,0 +1,159 @@
+import React from 'react';
+import { calculateIdrPayment, getDiscretionaryIncome, getForgivenessMonth } from '../utils/studentLoans';
+
+// Federal student loan options, shared by DebtForm and EditDebtForm
+export default function StudentLoanFields({ register, watch, errors }) {
+  const studentLoan = watch('studentLoan') || {};
+  const usesIdr = studentLoan.repaymentPlan === 'idr';
+  const hasPause = studentLoan.pauseType === 'deferment' || studentLoan.pauseType === 'forbearance';
+  const forgivenessMonth = getForgivenessMonth(studentLoan);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+  };
+
+  return (
+    <div className="rounded-md p-4 space-y-3" style={{ border: '1px solid #e0e0e0', backgroundColor: '#bbdefb', color: '#333' }}>
+      <div>
+        <label htmlFor="studentLoanPlan" className="block text-xs font-medium mb-1">Repayment plan</label>
+        <select id="studentLoanPlan" {...register('studentLoan.repaymentPlan')}>
+          <option value="standard">Standard (fixed monthly payment)</option>
+          <option value="idr">Income-driven repayment (IDR)</option>
+        </select>
+      </div>
+
+      {usesIdr && (
+        <>
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="studentLoanIncome" className="block text-xs font-medium mb-1">Annual income ($)</label>
+              <input
+                type="number"
+                step="1"
+                id="studentLoanIncome"
+                placeholder="45000"
+                {...register('studentLoan.annualIncome', {
+                  required: 'Income is required',
+                  min: { value: 0, message: 'Income must be positive' }
+                })}
+              />
+            </div>
+            <div>
+              <label htmlFor="studentLoanFamily" className="block text-xs font-medium mb-1">Family size</label>
+              <input
+                type="number"
+                step="1"
+                id="studentLoanFamily"
+                {...register('studentLoan.familySize', {
+                  required: 'Family size is required',
+                  min: { value: 1, message: 'Family size must be at least 1' }
+                })}
+              />
+            </div>
+            <div>
+              <label htmlFor="studentLoanPercent" className="block text-xs font-medium mb-1">% of discretionary</label>
+              <input
+                type="number"
+                step="1"
+                id="studentLoanPercent"
+                {...register('studentLoan.idrPercent', {
+                  required: 'Percent is required',
+                  min: { value: 0, message: 'Percent must be positive' }
+                })}
+              />
+            </div>
+          </div>
+          {(errors?.studentLoan?.annualIncome || errors?.studentLoan?.familySize || errors?.studentLoan?.idrPercent) && (
+            <p className="text-xs" style={{ color: '#f44336' }}>
+              {(errors.studentLoan.annualIncome || errors.studentLoan.familySize || errors.studentLoan.idrPercent).message}
+            </p>
+          )}
+          <p className="text-xs">
+            Discretionary income {formatCurrency(getDiscretionaryIncome(studentLoan.annualIncome, studentLoan.familySize))}/yr
+            (income above 150% of the poverty guideline) · monthly payment{' '}
+            <strong>{formatCurrency(calculateIdrPayment(studentLoan))}</strong>
+          </p>
+        </>
+      )}
+
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <label htmlFor="studentLoanPause" className="block text-xs font-medium mb-1">Payment pause</label>
+          <select id="studentLoanPause" {...register('studentLoan.pauseType')}>
+            <option value="none">None</option>
+            <option value="deferment">Deferment</option>
+            <option value="forbearance">Forbearance</option>
+          </select>
+        </div>
+        {hasPause && (
+          <>
+            <div>
+              <label htmlFor="studentLoanPauseStart" className="block text-xs font-medium mb-1">Starting month</label>
+              <input
+                type="number"
+                step="1"
+                id="studentLoanPauseStart"
+                {...register('studentLoan.pauseStartMonth', { min: { value: 1, message: 'Month must be 1 or later' } })}
+              />
+            </div>
+            <div>
+              <label htmlFor="studentLoanPauseMonths" className="block text-xs font-medium mb-1">Months</label>
+              <input
+                type="number"
+                step="1"
+                id="studentLoanPauseMonths"
+                placeholder="12"
+                {...register('studentLoan.pauseMonths', {
+                  required: 'Length is required',
+                  min: { value: 1, message: 'Pause must last at least 1 month' }
+                })}
+              />
+            </div>
+          </>
+        )}
+      </div>
+      {errors?.studentLoan?.pauseMonths && (
+        <p className="text-xs" style={{ color: '#f44336' }}>{errors.studentLoan.pauseMonths.message}</p>
+      )}
+      {hasPause && (
+        <>
+          {studentLoan.pauseType === 'deferment' && (
+            <label className="flex items-center text-xs">
+              <input type="checkbox" className="mr-2" style={{ width: 'auto', display: 'inline-block' }} {...register('studentLoan.subsidized')} />
+              Subsidized loan (no interest charged during deferment)
+            </label>
+          )}
+          <p className="text-xs">
+            Nothing is due while payments are paused. Interest that builds up is added to the balance when the pause ends.
+          </p>
+        </>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="studentLoanForgiveness" className="block text-xs font-medium mb-1">Forgiveness after (years)</label>
+          <input
+            type="number"
+            step="1"
+            id="studentLoanForgiveness"
+            placeholder="Leave blank for none"
+            {...register('studentLoan.forgivenessYears', { min: { value: 0, message: 'Years must be positive' } })}
+          />
+        </div>
+        <div>
+          <label htmlFor="studentLoanQualifying" className="block text-xs font-medium mb-1">Qualifying payments made</label>
+          <input
+            type="number"
+            step="1"
+            id="studentLoanQualifying"
+            placeholder="0"
+            {...register('studentLoan.qualifyingPayments', { min: { value: 0, message: 'Must be 0 or more' } })}
+          />
+        </div>
+      </div>
+      {forgivenessMonth !== null && (
+        <p className="text-xs">Any balance left in month {forgivenessMonth} is forgiven.</p>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
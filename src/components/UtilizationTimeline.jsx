@@ -0,0 +1,167 @@
+import React from 'react';
+import { useApp } from '../context/AppContext';
+import { UTILIZATION_THRESHOLDS, calculateUtilizationTimeline, hasCreditLimit } from '../utils/creditUtilization';
+import { formatMonthYear } from '../utils/dates';
+
+const STRATEGY_COLUMNS = [
+  { id: 'minimum', title: 'Minimum Payments' },
+  { id: 'avalanche', title: 'Debt Avalanche' },
+  { id: 'snowball', title: 'Debt Snowball' },
+  { id: 'custom', title: 'Custom Order' }
+];
+
+// Yearly utilization rows shown at most
+const MAX_YEAR_ROWS = 10;
+
+export default function UtilizationTimeline() {
+  const { state } = useApp();
+  const { debts, results } = state;
+  const cards = debts.filter(debt => debt.isCreditCard);
+
+  if (cards.length === 0) return null;
+
+  const formatPercent = (percent) => `${Math.round(percent)}%`;
+
+  const getUtilizationColor = (percent) => {
+    if (percent < 10) return 'text-bright-green';
+    if (percent < 30) return 'text-navy-blue';
+    return 'text-orange';
+  };
+
+  const columns = results
+    ? STRATEGY_COLUMNS
+      .filter(column => results[column.id])
+      .map(column => ({ ...column, timeline: calculateUtilizationTimeline(debts, results[column.id]) }))
+      .filter(column => column.timeline)
+    : [];
+
+  if (!cards.some(hasCreditLimit)) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <h3 className="text-xl font-bold text-navy-blue mb-4 text-center">
+          Credit Utilization
+        </h3>
+        <p className="text-sm text-gray-600 text-center">
+          Add a credit limit to your cards on the first step to see how each strategy lowers your credit utilization.
+        </p>
+      </div>
+    );
+  }
+
+  if (columns.length === 0) return null;
+
+  const { starting } = columns[0].timeline;
+
+  const describeThreshold = (threshold) => {
+    if (threshold.month === 0) return 'Already';
+    if (threshold.month === null) return 'Not in plan';
+    return formatMonthYear(threshold.date);
+  };
+
+  // Years until every strategy other than minimum payments is done
+  const fastestPlans = columns.filter(column => column.id !== 'minimum');
+  const yearCount = Math.min(
+    MAX_YEAR_ROWS,
+    Math.ceil(Math.max(...(fastestPlans.length > 0 ? fastestPlans : columns).map(column => column.timeline.months.length)) / 12)
+  );
+  const years = Array.from({ length: yearCount }, (_, index) => index + 1);
+
+  // A plan that never finishes keeps its last balances; a finished one is at 0%
+  const getYearEndUtilization = (column, year) => {
+    const { months } = column.timeline;
+    const entry = months[year * 12 - 1] || (results[column.id].feasible === false ? months[months.length - 1] : null);
+    return entry ? entry.overall : 0;
+  };
+
+  const getVerdict = () => {
+    const avalanche = columns.find(column => column.id === 'avalanche');
+    const snowball = columns.find(column => column.id === 'snowball');
+    if (starting.overall < UTILIZATION_THRESHOLDS[1]) {
+      return `Your cards are already under ${UTILIZATION_THRESHOLDS[1]}% utilization, where it helps your score the most.`;
+    }
+    if (starting.overall < UTILIZATION_THRESHOLDS[0]) {
+      return `Your cards are already under ${UTILIZATION_THRESHOLDS[0]}% utilization. Getting under ${UTILIZATION_THRESHOLDS[1]}% helps your score the most.`;
+    }
+    if (!avalanche || !snowball) return null;
+
+    const avalancheMonth = avalanche.timeline.thresholds[0].month;
+    const snowballMonth = snowball.timeline.thresholds[0].month;
+    if (avalancheMonth === null || snowballMonth === null || avalancheMonth === snowballMonth) {
+      return `Utilization makes up a large part of your credit score. It only counts your latest balances, so your score can recover as soon as they come down.`;
+    }
+    const [sooner, later] = avalancheMonth < snowballMonth ? ['Debt Avalanche', 'Debt Snowball'] : ['Debt Snowball', 'Debt Avalanche'];
+    return `${sooner} gets you under ${UTILIZATION_THRESHOLDS[0]}% utilization ${Math.abs(avalancheMonth - snowballMonth)} months sooner than ${later}. Utilization only counts your latest balances, so your score can recover as soon as they come down.`;
+  };
+
+  const verdict = getVerdict();
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-xl font-bold text-navy-blue mb-4 text-center">
+        Credit Utilization
+      </h3>
+      <p className="text-sm text-gray-600 text-center mb-6 max-w-2xl mx-auto">
+        Utilization is the share of your credit limits in use. Scores tend to look better below {UTILIZATION_THRESHOLDS[0]}% and
+        best below {UTILIZATION_THRESHOLDS[1]}%. Only cards with a credit limit are counted.
+      </p>
+
+      <div className="text-center mb-6">
+        <p className="text-sm text-gray-600">Today</p>
+        <p className={`text-2xl font-bold ${getUtilizationColor(starting.overall)}`}>{formatPercent(starting.overall)}</p>
+        <p className="text-xs text-gray-600">
+          {starting.cards.map(card => `${debts.find(debt => debt.id === card.debtId)?.name} ${formatPercent(card.utilization)}`).join(' · ')}
+        </p>
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="px-4 py-3 text-left font-bold text-navy-blue">Utilization</th>
+              {columns.map(column => (
+                <th key={column.id} className="px-4 py-3 text-right font-bold uppercase tracking-wide text-navy-blue">
+                  {column.title}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {UTILIZATION_THRESHOLDS.map((threshold, index) => (
+              <tr key={threshold}>
+                <td className="px-4 py-3 text-gray-600">Below {threshold}% from</td>
+                {columns.map(column => {
+                  const reached = column.timeline.thresholds[index];
+                  return (
+                    <td key={column.id} className={`px-4 py-3 text-right font-medium ${reached.month === null ? 'text-orange' : 'text-bright-green'}`}>
+                      {describeThreshold(reached)}
+                      {reached.month > 0 && <div className="text-xs font-normal text-gray-600">Month {reached.month}</div>}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {years.map(year => (
+              <tr key={year}>
+                <td className="px-4 py-3 text-gray-600">End of year {year}</td>
+                {columns.map(column => {
+                  const utilization = getYearEndUtilization(column, year);
+                  return (
+                    <td key={column.id} className={`px-4 py-3 text-right font-medium ${getUtilizationColor(utilization)}`}>
+                      {formatPercent(utilization)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {verdict && (
+        <div className="bg-soft-blue-tint rounded-md p-4 text-center">
+          <p className="text-sm font-bold text-navy-blue">{verdict}</p>
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -5,7 +5,15 @@ import { createContext, useContext, useReducer } from 'react';
 const initialState = {
   debts: [],
   extraMonthlyPayment: 0,
+  paymentFrequency: 'monthly', // 'monthly', 'semimonthly' or 'biweekly'
+  extraPaymentSchedule: [], // changes to the extra payment over time, see utils/extraPaymentSchedule.js
   oneTimePayments: [],
+  planStartDate: new Date().toISOString().slice(0, 10), // 'YYYY-MM-DD' first billing cycle begins
+  balanceTransfer: null, // { debtIds, feePercent, promoApr, promoMonths, goToApr } scenario to compare
+  excludeMortgageFromExtra: false, // mortgages get only their regular payment, never extra money
+  marginalTaxRate: 0, // percent, for deductible interest (see utils/taxes.js)
+  discountRate: 0, // percent a year, for present-value totals (see utils/inflation.js)
+  emergencyFund: null, // { target, startingBalance, emergencyMonth, emergencyAmount, refill }, see utils/emergencyFund.js
   selectedStrategy: null,
   currentStep: 1,
   results: null
@@ -16,8 +24,21 @@ const ACTIONS = {
   ADD_DEBT: 'ADD_DEBT',
   UPDATE_DEBT: 'UPDATE_DEBT',
   DELETE_DEBT: 'DELETE_DEBT',
+  REORDER_DEBTS: 'REORDER_DEBTS',
   SET_EXTRA_PAYMENT: 'SET_EXTRA_PAYMENT',
+  SET_PAYMENT_FREQUENCY: 'SET_PAYMENT_FREQUENCY',
+  ADD_EXTRA_PAYMENT_CHANGE: 'ADD_EXTRA_PAYMENT_CHANGE',
+  UPDATE_EXTRA_PAYMENT_CHANGE: 'UPDATE_EXTRA_PAYMENT_CHANGE',
+  DELETE_EXTRA_PAYMENT_CHANGE: 'DELETE_EXTRA_PAYMENT_CHANGE',
+  SET_PLAN_START_DATE: 'SET_PLAN_START_DATE',
   ADD_ONE_TIME_PAYMENT: 'ADD_ONE_TIME_PAYMENT',
+  UPDATE_ONE_TIME_PAYMENT: 'UPDATE_ONE_TIME_PAYMENT',
+  DELETE_ONE_TIME_PAYMENT: 'DELETE_ONE_TIME_PAYMENT',
+  SET_BALANCE_TRANSFER: 'SET_BALANCE_TRANSFER',
+  SET_EXCLUDE_MORTGAGE_FROM_EXTRA: 'SET_EXCLUDE_MORTGAGE_FROM_EXTRA',
+  SET_MARGINAL_TAX_RATE: 'SET_MARGINAL_TAX_RATE',
+  SET_DISCOUNT_RATE: 'SET_DISCOUNT_RATE',
+  SET_EMERGENCY_FUND: 'SET_EMERGENCY_FUND',
   SET_STRATEGY: 'SET_STRATEGY',
   SET_STEP: 'SET_STEP',
   SET_RESULTS: 'SET_RESULTS'
@@ -43,19 +64,115 @@ function reducer(state, action) {
     case ACTIONS.DELETE_DEBT:
       return {
         ...state,
-        debts: state.debts.filter(debt => debt.id !== action.payload)
+        debts: state.debts.filter(debt => debt.id !== action.payload),
+        // One-time payments aimed at a deleted debt fall back to the priority debt
+        oneTimePayments: state.oneTimePayments.map(payment =>
+          payment.debtId === action.payload ? { ...payment, debtId: null } : payment
+        ),
+        balanceTransfer: state.balanceTransfer && {
+          ...state.balanceTransfer,
+          debtIds: state.balanceTransfer.debtIds.filter(id => id !== action.payload)
+        }
       };
     
+    case ACTIONS.REORDER_DEBTS: {
+      // The order of the debts list is the payoff order for the custom strategy
+      const { fromIndex, toIndex } = action.payload;
+      const debts = [...state.debts];
+      const [moved] = debts.splice(fromIndex, 1);
+      debts.splice(toIndex, 0, moved);
+      return {
+        ...state,
+        debts
+      };
+    }
+    
     case ACTIONS.SET_EXTRA_PAYMENT:
       return {
         ...state,
         extraMonthlyPayment: action.payload
       };
     
+    case ACTIONS.SET_PAYMENT_FREQUENCY:
+      return {
+        ...state,
+        paymentFrequency: action.payload
+      };
+    
+    case ACTIONS.ADD_EXTRA_PAYMENT_CHANGE:
+      return {
+        ...state,
+        extraPaymentSchedule: [...state.extraPaymentSchedule, { ...action.payload, id: Date.now() }]
+      };
+    
+    case ACTIONS.UPDATE_EXTRA_PAYMENT_CHANGE:
+      return {
+        ...state,
+        extraPaymentSchedule: state.extraPaymentSchedule.map(entry =>
+          entry.id === action.payload.id ? action.payload : entry
+        )
+      };
+    
+    case ACTIONS.DELETE_EXTRA_PAYMENT_CHANGE:
+      return {
+        ...state,
+        extraPaymentSchedule: state.extraPaymentSchedule.filter(entry => entry.id !== action.payload)
+      };
+    
+    case ACTIONS.SET_PLAN_START_DATE:
+      return {
+        ...state,
+        planStartDate: action.payload
+      };
+    
     case ACTIONS.ADD_ONE_TIME_PAYMENT:
       return {
         ...state,
-        oneTimePayments: [...state.oneTimePayments, action.payload]
+        oneTimePayments: [...state.oneTimePayments, { ...action.payload, id: Date.now() }]
+      };
+    
+    case ACTIONS.UPDATE_ONE_TIME_PAYMENT:
+      return {
+        ...state,
+        oneTimePayments: state.oneTimePayments.map(payment =>
+          payment.id === action.payload.id ? action.payload : payment
+        )
+      };
+    
+    case ACTIONS.DELETE_ONE_TIME_PAYMENT:
+      return {
+        ...state,
+        oneTimePayments: state.oneTimePayments.filter(payment => payment.id !== action.payload)
+      };
+    
+    case ACTIONS.SET_BALANCE_TRANSFER:
+      return {
+        ...state,
+        balanceTransfer: action.payload
+      };
+    
+    case ACTIONS.SET_EXCLUDE_MORTGAGE_FROM_EXTRA:
+      return {
+        ...state,
+        excludeMortgageFromExtra: action.payload
+      };
+    
+    case ACTIONS.SET_MARGINAL_TAX_RATE:
+      return {
+        ...state,
+        marginalTaxRate: action.payload
+      };
+    
+    case ACTIONS.SET_DISCOUNT_RATE:
+      return {
+        ...state,
+        discountRate: action.payload
+      };
+    
+    case ACTIONS.SET_EMERGENCY_FUND:
+      return {
+        ...state,
+        emergencyFund: action.payload
       };
     
     case ACTIONS.SET_STRATEGY:
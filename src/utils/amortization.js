@@ -0,0 +1,90 @@
+/**
+ * Installment Loan Amortization
+ *
+ * Helpers for fixed-term loans (auto, personal, student loans) where the
+ * monthly payment is derived from the principal, APR and term instead of
+ * being typed in. Used by the debt forms, the loan detail view and the
+ * calculation engine.
+ *
+ * Loan terms are stored on a debt as:
+ * loanTerms: { originalPrincipal, termMonths, paymentsMade }
+ * A blank originalPrincipal means the payment is derived from the current
+ * balance over the remaining term.
+ */
+
+/**
+ * Standard amortized monthly payment
+ * @param {number} principal - Amount borrowed
+ * @param {number} apr - Annual percentage rate (as percent, e.g., 6.5)
+ * @param {number} termMonths - Number of monthly payments
+ * @returns {number} - Monthly payment
+ */
+export const calculateAmortizedPayment = (principal, apr, termMonths) => {
+  if (principal <= 0 || termMonths <= 0) return 0;
+
+  const monthlyRate = apr / 100 / 12;
+  if (monthlyRate === 0) return principal / termMonths;
+
+  return (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -termMonths));
+};
+
+/**
+ * Months left on a loan's original schedule
+ * @param {Object} loanTerms - { termMonths, paymentsMade }
+ * @returns {number} - Remaining scheduled payments
+ */
+export const getRemainingTerm = (loanTerms) => {
+  return Math.max(0, (Number(loanTerms.termMonths) || 0) - (Number(loanTerms.paymentsMade) || 0));
+};
+
+/**
+ * Monthly payment for a term-based loan
+ * @param {number} balance - Current balance
+ * @param {number} apr - Annual percentage rate (as percent)
+ * @param {Object} loanTerms - { originalPrincipal, termMonths, paymentsMade }
+ * @returns {number} - Monthly payment
+ */
+export const deriveLoanPayment = (balance, apr, loanTerms) => {
+  const originalPrincipal = Number(loanTerms.originalPrincipal) || 0;
+
+  if (originalPrincipal > 0) {
+    // Payment was fixed when the loan was made
+    return calculateAmortizedPayment(originalPrincipal, apr, Number(loanTerms.termMonths) || 0);
+  }
+  // Re-amortize what's left over the remaining term
+  return calculateAmortizedPayment(balance, apr, getRemainingTerm(loanTerms));
+};
+
+/**
+ * Month-by-month amortization table for a fixed payment
+ * @param {number} balance - Starting balance
+ * @param {number} apr - Annual percentage rate (as percent)
+ * @param {number} payment - Monthly payment
+ * @returns {Array} - [{ month, payment, interest, principal, balance }]
+ */
+export const buildAmortizationSchedule = (balance, apr, payment) => {
+  const monthlyRate = apr / 100 / 12;
+  const schedule = [];
+  let remaining = balance;
+  let month = 0;
+
+  // Stop if the payment never covers the interest (max 1200 months = 100 years)
+  while (remaining > 0.005 && month < 1200) {
+    month++;
+    const interest = remaining * monthlyRate;
+    const actualPayment = Math.min(payment, remaining + interest);
+    const principal = actualPayment - interest;
+    if (principal <= 0) break;
+
+    remaining = Math.max(0, remaining - principal);
+    schedule.push({
+      month,
+      payment: actualPayment,
+      interest,
+      principal,
+      balance: remaining
+    });
+  }
+
+  return schedule;
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Balance Transfer Scenarios
+ *
+ * Builds the debt list that results from moving one or more card balances
+ * onto a new balance-transfer card, so every strategy can be run on it and
+ * compared with the current plan.
+ *
+ * A transfer is stored as:
+ * { debtIds, feePercent, promoApr, promoMonths, goToApr }
+ * where the rates are percents and debtIds lists the cards being moved.
+ * The transfer fee is added to the new card's balance. The old cards stay
+ * open, and purchases on them are assumed to be paid in full once their
+ * balances are moved: out of the same monthly budget, so the transfer plan
+ * has that much less for debt (see getTransferredSpending). Plans are then
+ * compared by getRepaymentCost (see repaymentStrategies.js), which leaves the
+ * purchases themselves out of both.
+ */
+
+import { DEFAULT_MINIMUM_RULE, calculateCreditCardMinimum } from './minimumPayments.js';
+
+// Id of the new card in the transfer debt list
+export const BALANCE_TRANSFER_DEBT_ID = 'balance-transfer';
+
+/**
+ * Cards whose balances are moved by a transfer
+ * @param {Array} debts - Current debts
+ * @param {Object} transfer - Balance transfer settings
+ * @returns {Array} - Credit card debts selected for the transfer
+ */
+export const getTransferredDebts = (debts, transfer) => {
+  return debts.filter(debt => debt.isCreditCard && transfer.debtIds.includes(debt.id));
+};
+
+/**
+ * Up-front fee charged for a transfer
+ * @param {Array} debts - Current debts
+ * @param {Object} transfer - Balance transfer settings
+ * @returns {number} - Fee added to the new card's balance
+ */
+export const calculateTransferFee = (debts, transfer) => {
+  const transferred = getTransferredDebts(debts, transfer).reduce((sum, debt) => sum + debt.balance, 0);
+  return transferred * ((Number(transfer.feePercent) || 0) / 100);
+};
+
+/**
+ * Monthly purchases on the moved cards that revolve today and are paid in
+ * full after the transfer (purchases already paid in full don't change)
+ * @param {Array} debts - Current debts
+ * @param {Object} transfer - Balance transfer settings
+ * @returns {number} - Spending per month taken out of the transfer plan's budget
+ */
+export const getTransferredSpending = (debts, transfer) => {
+  return getTransferredDebts(debts, transfer)
+    .filter(debt => !debt.payInFull)
+    .reduce((sum, debt) => sum + (Number(debt.monthlySpending) || 0), 0);
+};
+
+/**
+ * Debt list after a balance transfer
+ * @param {Array} debts - Current debts
+ * @param {Object} transfer - Balance transfer settings
+ * @returns {Array} - Debts with the moved cards replaced by the new card,
+ *   which takes the place of the first card moved in the list order
+ */
+export const applyBalanceTransfer = (debts, transfer) => {
+  const transferred = getTransferredDebts(debts, transfer);
+  if (transferred.length === 0) return debts;
+
+  const promoApr = Number(transfer.promoApr) || 0;
+  const balance = transferred.reduce((sum, debt) => sum + debt.balance, 0) + calculateTransferFee(debts, transfer);
+  const transferCard = {
+    id: BALANCE_TRANSFER_DEBT_ID,
+    name: 'Balance transfer card',
+    balance,
+    apr: Number(transfer.goToApr) || 0,
+    minPayment: calculateCreditCardMinimum(balance, balance * (promoApr / 100 / 12), DEFAULT_MINIMUM_RULE),
+    isCreditCard: true,
+    minimumRule: DEFAULT_MINIMUM_RULE,
+    monthlyFee: 0,
+    promoApr,
+    promoMonths: Number(transfer.promoMonths) || 0,
+    deferredInterest: false,
+    interestMethod: 'monthly',
+    rateSchedule: []
+  };
+
+  const firstIndex = debts.indexOf(transferred[0]);
+  const remaining = debts.filter(debt => !transferred.includes(debt));
+  remaining.splice(firstIndex, 0, transferCard);
+  return remaining;
+};
+
+/**
+ * Point one-time payments aimed at a moved card at the new card instead
+ * @param {Array} oneTimePayments - [{ month, amount, debtId }]
+ * @param {Object} transfer - Balance transfer settings
+ * @returns {Array} - One-time payments for the transfer plan
+ */
+export const retargetOneTimePayments = (oneTimePayments, transfer) => {
+  return oneTimePayments.map(payment =>
+    transfer.debtIds.includes(payment.debtId) ? { ...payment, debtId: BALANCE_TRANSFER_DEBT_ID } : payment
+  );
+};
\ No newline at end of file
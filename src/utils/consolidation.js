@@ -0,0 +1,104 @@
+/**
+ * Debt Consolidation Analysis
+ *
+ * Builds the debt list that results from rolling selected debts into a new
+ * fixed-term consolidation loan, so the consolidated plan can be run through
+ * the same engine and compared with keeping the debts as they are.
+ *
+ * A consolidation is described as:
+ * { debtIds, apr, termMonths, feePercent }
+ * The origination fee comes out of the loan proceeds, so the amount borrowed
+ * is large enough to pay off the selected debts after the fee. Consolidated
+ * cards stay open, and purchases on them are assumed to be paid in full from
+ * then on, out of the same monthly budget (see getConsolidatedSpending). Plans
+ * are compared by getRepaymentCost (see repaymentStrategies.js), which leaves
+ * the purchases themselves out.
+ */
+
+import { calculateAmortizedPayment } from './amortization.js';
+
+// Id of the new loan in the consolidated debt list
+export const CONSOLIDATION_DEBT_ID = 'consolidation-loan';
+
+/**
+ * Debts rolled into the consolidation loan
+ * @param {Array} debts - Current debts
+ * @param {Object} consolidation - Consolidation loan settings
+ * @returns {Array} - Debts selected for consolidation
+ */
+export const getConsolidatedDebts = (debts, consolidation) => {
+  return debts.filter(debt => consolidation.debtIds.includes(debt.id));
+};
+
+/**
+ * Monthly purchases on consolidated cards that revolve today and are paid in
+ * full once the cards are paid off by the loan
+ * @param {Array} debts - Current debts
+ * @param {Object} consolidation - Consolidation loan settings
+ * @returns {number} - Spending per month taken out of the consolidated plan's budget
+ */
+export const getConsolidatedSpending = (debts, consolidation) => {
+  return getConsolidatedDebts(debts, consolidation)
+    .filter(debt => debt.isCreditCard && !debt.payInFull)
+    .reduce((sum, debt) => sum + (Number(debt.monthlySpending) || 0), 0);
+};
+
+/**
+ * Amount borrowed so the proceeds cover the selected balances after the fee
+ * @param {Array} debts - Current debts
+ * @param {Object} consolidation - Consolidation loan settings
+ * @returns {number} - Loan principal, including the origination fee
+ */
+export const calculateConsolidationLoanAmount = (debts, consolidation) => {
+  const payoffAmount = getConsolidatedDebts(debts, consolidation).reduce((sum, debt) => sum + debt.balance, 0);
+  const feeRate = Math.min(Number(consolidation.feePercent) || 0, 99) / 100;
+  return payoffAmount / (1 - feeRate);
+};
+
+/**
+ * Debt list after taking out the consolidation loan
+ * @param {Array} debts - Current debts
+ * @param {Object} consolidation - Consolidation loan settings
+ * @returns {Array} - Debts with the consolidated ones replaced by the new loan,
+ *   which takes the place of the first debt rolled in
+ */
+export const applyConsolidation = (debts, consolidation) => {
+  const consolidated = getConsolidatedDebts(debts, consolidation);
+  if (consolidated.length === 0) return debts;
+
+  const apr = Number(consolidation.apr) || 0;
+  const termMonths = Number(consolidation.termMonths) || 0;
+  const balance = calculateConsolidationLoanAmount(debts, consolidation);
+  const consolidationLoan = {
+    id: CONSOLIDATION_DEBT_ID,
+    name: 'Consolidation loan',
+    balance,
+    apr,
+    minPayment: calculateAmortizedPayment(balance, apr, termMonths),
+    isCreditCard: false,
+    loanTerms: { originalPrincipal: null, termMonths, paymentsMade: 0 },
+    monthlyFee: 0,
+    promoApr: 0,
+    promoMonths: 0,
+    deferredInterest: false,
+    interestMethod: 'monthly',
+    rateSchedule: []
+  };
+
+  const firstIndex = debts.indexOf(consolidated[0]);
+  const remaining = debts.filter(debt => !consolidated.includes(debt));
+  remaining.splice(firstIndex, 0, consolidationLoan);
+  return remaining;
+};
+
+/**
+ * Point one-time payments aimed at a consolidated debt at the new loan instead
+ * @param {Array} oneTimePayments - [{ month, amount, debtId }]
+ * @param {Object} consolidation - Consolidation loan settings
+ * @returns {Array} - One-time payments for the consolidated plan
+ */
+export const retargetOneTimePayments = (oneTimePayments, consolidation) => {
+  return oneTimePayments.map(payment =>
+    consolidation.debtIds.includes(payment.debtId) ? { ...payment, debtId: CONSOLIDATION_DEBT_ID } : payment
+  );
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Credit Utilization
+ *
+ * Utilization is the share of a card's credit limit in use, and it is one of
+ * the biggest factors in a credit score. Scores generally look better below
+ * 30% and best below 10%, both per card and across all cards. Most scores only
+ * use the latest balances reported, so paying cards down helps right away.
+ *
+ * Utilization is worked out from a plan's schedule: each month uses the
+ * balance left at the end of the billing cycle, which is what the card
+ * reports. Only credit cards with a credit limit count.
+ */
+
+// Thresholds, as percents, that the timeline tracks
+export const UTILIZATION_THRESHOLDS = [30, 10];
+
+/**
+ * Whether a debt is a credit card with a credit limit
+ * @param {Object} debt - Debt object
+ * @returns {boolean} - True if the debt counts toward utilization
+ */
+export const hasCreditLimit = (debt) => {
+  return !!debt.isCreditCard && Number(debt.creditLimit) > 0;
+};
+
+/**
+ * Share of a credit limit in use
+ * @param {number} balance - Card balance
+ * @param {number} creditLimit - Card credit limit
+ * @returns {number|null} - Utilization as a percent, or null without a limit
+ */
+export const getUtilization = (balance, creditLimit) => {
+  return creditLimit > 0 ? Math.max(0, balance) / creditLimit * 100 : null;
+};
+
+/**
+ * Overall and per-card utilization for a set of card balances
+ * @param {Array} cards - Credit cards with limits
+ * @param {Function} getBalance - Returns a card's balance from its id
+ * @returns {Object} - { overall, cards } where cards is [{ debtId, utilization }]
+ */
+const getUtilizationSnapshot = (cards, getBalance) => {
+  const totalLimit = cards.reduce((sum, card) => sum + Number(card.creditLimit), 0);
+  const totalBalance = cards.reduce((sum, card) => sum + Math.max(0, getBalance(card.id)), 0);
+  return {
+    overall: getUtilization(totalBalance, totalLimit),
+    cards: cards.map(card => ({
+      debtId: card.id,
+      utilization: getUtilization(getBalance(card.id), Number(card.creditLimit))
+    }))
+  };
+};
+
+/**
+ * Utilization each month of a plan, and when it drops below each threshold
+ * @param {Array} debts - List of debt objects
+ * @param {Object} plan - Results from one of the repayment strategies
+ * @returns {Object|null} - { starting, months, thresholds } or null if no card
+ *   has a credit limit. starting is today's { overall, cards }, months has one
+ *   { month, date, overall, cards } entry per plan month, and thresholds is
+ *   [{ threshold, month, date }] for each of UTILIZATION_THRESHOLDS: the month
+ *   overall utilization drops below it for the rest of the plan (0 if it
+ *   already is, null if it never does)
+ */
+export const calculateUtilizationTimeline = (debts, plan) => {
+  const cards = debts.filter(hasCreditLimit);
+  if (cards.length === 0 || !plan) return null;
+
+  const starting = getUtilizationSnapshot(cards, debtId => debts.find(debt => debt.id === debtId).balance);
+  const months = plan.monthlyPayments.map(month => ({
+    month: month.month,
+    date: month.date,
+    ...getUtilizationSnapshot(cards, debtId => month.debtPayments.find(payment => payment.debtId === debtId)?.balance || 0)
+  }));
+
+  const thresholds = UTILIZATION_THRESHOLDS.map(threshold => {
+    // Walk back from the end to the start of the final stretch below the threshold,
+    // so new spending pushing it back up doesn't count as getting there
+    let index = months.length;
+    while (index > 0 && months[index - 1].overall < threshold) index--;
+
+    if (index === 0 && starting.overall < threshold) return { threshold, month: 0, date: null };
+    if (index === months.length) return { threshold, month: null, date: null };
+    return { threshold, month: months[index].month, date: months[index].date };
+  });
+
+  return { starting, months, thresholds };
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Calendar Date Helpers
+ *
+ * Plan dates are 'YYYY-MM-DD' strings handled in UTC so that month
+ * arithmetic never shifts with the user's time zone.
+ */
+
+/**
+ * Parse a 'YYYY-MM-DD' date string as a UTC date (defaults to today)
+ * @param {string} dateString - ISO date string
+ * @returns {Date} - Date at midnight UTC
+ */
+export const parseStartDate = (dateString) => {
+  const date = dateString ? new Date(`${dateString}T00:00:00Z`) : new Date();
+  if (isNaN(date.getTime())) return parseStartDate(null);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Add calendar months to a date, keeping the day of month where possible
+ * (Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - Starting date (UTC)
+ * @param {number} monthsToAdd - Number of months to add
+ * @returns {Date} - New date (UTC)
+ */
+export const addMonths = (date, monthsToAdd) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + monthsToAdd;
+  const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDayOfMonth)));
+};
+
+/**
+ * Number of days in a billing cycle
+ * @param {Date} startDate - Date the first cycle begins (UTC)
+ * @param {number} month - Cycle number (1-based)
+ * @returns {number} - Days from the start of this cycle to the start of the next
+ */
+export const getDaysInCycle = (startDate, month) => {
+  const cycleStart = addMonths(startDate, month - 1);
+  const cycleEnd = addMonths(startDate, month);
+  return Math.round((cycleEnd - cycleStart) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Days into a billing cycle on which payments are made
+ * @param {Date} startDate - Date the first cycle begins (UTC)
+ * @param {number} month - Cycle number (1-based)
+ * @param {string} frequency - 'monthly', 'semimonthly' or 'biweekly'
+ * @returns {Array} - Day offsets from the start of the cycle, where the
+ *   cycle length means the last day of the cycle
+ */
+export const getPaymentDaysInCycle = (startDate, month, frequency) => {
+  const daysInCycle = getDaysInCycle(startDate, month);
+
+  if (frequency === 'semimonthly') {
+    // Mid-cycle and at the close of the cycle
+    return [Math.round(daysInCycle / 2), daysInCycle];
+  }
+
+  if (frequency === 'biweekly') {
+    // Every 14 days counted from the plan start, so some cycles get three payments
+    const cycleStartDay = Math.round((addMonths(startDate, month - 1) - startDate) / (24 * 60 * 60 * 1000));
+    const paymentDays = [];
+    for (let day = (Math.floor(cycleStartDay / 14) + 1) * 14; day <= cycleStartDay + daysInCycle; day += 14) {
+      paymentDays.push(day - cycleStartDay);
+    }
+    return paymentDays;
+  }
+
+  return [daysInCycle];
+};
+
+/**
+ * Calendar date of a plan month
+ * @param {string} startDate - 'YYYY-MM-DD' the plan begins
+ * @param {number} month - Month number (1-based)
+ * @returns {Date} - Date the month's billing cycle begins (UTC)
+ */
+export const getPlanMonthDate = (startDate, month) => {
+  return addMonths(parseStartDate(startDate), month - 1);
+};
+
+/**
+ * Format a date as a 'YYYY-MM-DD' string
+ * @param {Date} date - Date (UTC)
+ * @returns {string} - ISO date string
+ */
+export const toDateString = (date) => {
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Format a date as "March 2029"
+ * @param {Date|string} date - Date (UTC) or 'YYYY-MM-DD' string
+ * @returns {string} - Month and year
+ */
+export const formatMonthYear = (date) => {
+  const value = typeof date === 'string' ? parseStartDate(date) : date;
+  return value.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Debt Payload
+ *
+ * Turns the add and edit debt forms' values into the debt object stored in
+ * state, so both forms parse every field the same way. Used by DebtForm and
+ * EditDebtForm.
+ *
+ * The forms keep which sections are switched on outside the form values, as:
+ * { isCreditCard, hasPromo, useLoanTerms, isStudentLoan, isMortgage }
+ */
+
+import { calculateCreditCardMinimum, normalizeMinimumRule } from './minimumPayments.js';
+import { deriveLoanPayment } from './amortization.js';
+import { calculateIdrPayment, normalizeStudentLoan } from './studentLoans.js';
+import { normalizeMortgage } from './mortgages.js';
+
+/**
+ * Build a debt from the debt form's values
+ * @param {Object} data - Values submitted by the form
+ * @param {Object} sections - Which form sections are switched on (see above)
+ * @returns {Object} - Debt fields for ADD_DEBT or UPDATE_DEBT (without an id)
+ */
+export const buildDebtPayload = (data, sections) => {
+  const { isCreditCard, hasPromo, useLoanTerms, isStudentLoan, isMortgage } = sections;
+  const balance = parseFloat(data.balance);
+  const apr = parseFloat(data.apr);
+
+  const minimumRule = normalizeMinimumRule(data.minimumRule);
+  const monthlyFee = isCreditCard ? parseFloat(data.monthlyFee) || 0 : 0;
+  const monthlySpending = isCreditCard ? parseFloat(data.monthlySpending) || 0 : 0;
+
+  const studentLoan = !isCreditCard && isStudentLoan ? normalizeStudentLoan(data.studentLoan) : null;
+  const usesIdr = !!studentLoan && studentLoan.repaymentPlan === 'idr';
+  const mortgage = !isCreditCard && isMortgage ? normalizeMortgage(data.mortgage) : null;
+  const loanTerms = !isCreditCard && useLoanTerms && !usesIdr ? {
+    originalPrincipal: parseFloat(data.loanTerms.originalPrincipal) || null,
+    termMonths: parseInt(data.loanTerms.termMonths, 10),
+    paymentsMade: parseInt(data.loanTerms.paymentsMade, 10) || 0
+  } : null;
+
+  // Credit cards calculate the first month's minimum payment, term loans and
+  // income-driven student loans derive it
+  let minPayment;
+  if (isCreditCard) {
+    minPayment = calculateCreditCardMinimum(balance, balance * (apr / 100 / 12), minimumRule, monthlyFee);
+  } else if (usesIdr) {
+    minPayment = calculateIdrPayment(studentLoan);
+  } else if (loanTerms) {
+    minPayment = deriveLoanPayment(balance, apr, loanTerms);
+  } else {
+    minPayment = parseFloat(data.minPayment);
+  }
+
+  return {
+    name: data.name,
+    apr: apr,
+    balance: balance,
+    minPayment: minPayment,
+    isCreditCard: isCreditCard,
+    minimumRule: isCreditCard ? minimumRule : undefined,
+    loanTerms: loanTerms,
+    studentLoan: studentLoan,
+    mortgage: mortgage,
+    interestDeduction: isCreditCard ? 'none' : data.interestDeduction || 'none',
+    monthlyFee: monthlyFee,
+    monthlySpending: monthlySpending,
+    payInFull: isCreditCard && !!data.payInFull,
+    creditLimit: isCreditCard ? parseFloat(data.creditLimit) || null : null,
+    promoApr: hasPromo ? parseFloat(data.promoApr) : 0,
+    promoMonths: hasPromo ? parseInt(data.promoMonths, 10) : 0,
+    deferredInterest: hasPromo && !!data.deferredInterest,
+    interestMethod: data.interestMethod || 'monthly',
+    rateSchedule: (data.rateSchedule || []).map(change => ({
+      month: parseInt(change.month, 10),
+      apr: parseFloat(change.apr)
+    }))
+  };
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * Emergency Fund
+ *
+ * Settings for building an emergency fund before paying extra on debt. Used by
+ * the payment setup form and the calculation engine, which sends money beyond
+ * the minimums to savings until the target is reached.
+ *
+ * The emergency fund is stored as:
+ * emergencyFund: { target, startingBalance, emergencyMonth, emergencyAmount, refill }
+ * where emergencyMonth and emergencyAmount describe one simulated emergency
+ * paid out of savings (leave the amount at 0 for none; what savings can't
+ * cover goes on a credit card), and refill sends extra money back to savings
+ * after it until the target is reached again.
+ */
+
+export const DEFAULT_EMERGENCY_FUND = {
+  target: 1000,
+  startingBalance: 0,
+  emergencyMonth: 12,
+  emergencyAmount: '',
+  refill: true
+};
+
+/**
+ * Turn emergency fund form values into stored settings
+ * @param {Object} values - Raw form values
+ * @returns {Object} - Emergency fund settings with numbers parsed
+ */
+export const normalizeEmergencyFund = (values = {}) => {
+  const emergencyAmount = parseFloat(values.emergencyAmount) || 0;
+  return {
+    target: parseFloat(values.target) || 0,
+    startingBalance: parseFloat(values.startingBalance) || 0,
+    emergencyMonth: emergencyAmount > 0 ? Math.max(1, parseInt(values.emergencyMonth, 10) || 1) : null,
+    emergencyAmount,
+    refill: !!values.refill
+  };
+};
+
+/**
+ * Emergency expense paid from savings in a given month
+ * @param {Object} emergencyFund - Emergency fund settings
+ * @param {number} month - Month number (1-based)
+ * @returns {number} - Amount in dollars (0 in months without an emergency)
+ */
+export const getEmergencyForMonth = (emergencyFund, month) => {
+  return emergencyFund.emergencyMonth === month ? Number(emergencyFund.emergencyAmount) || 0 : 0;
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Extra Payment Schedule
+ *
+ * Lets the monthly extra payment change over the life of a plan instead of
+ * staying fixed. Each entry in the schedule is one of:
+ * { type: 'change', month, amount }               - add amount (may be negative) from month on
+ * { type: 'raise', month, percent, everyMonths }  - grow the extra by percent at month,
+ *                                                   then again every everyMonths months
+ * { type: 'pause', month, endMonth }              - no extra payment from month to endMonth
+ *
+ * Changes are applied first, raises compound on the result and pauses win
+ * over both. Used by the calculation engine and the payment setup screen.
+ */
+
+/**
+ * Extra payment in effect for a given month
+ * @param {number} baseExtra - Extra payment before any scheduled changes
+ * @param {Array} schedule - Scheduled changes (see above)
+ * @param {number} month - Month number (1-based)
+ * @returns {number} - Extra payment for the month
+ */
+export const getExtraPaymentForMonth = (baseExtra, schedule, month) => {
+  let extra = baseExtra;
+
+  schedule
+    .filter(entry => entry.type === 'change' && month >= Number(entry.month))
+    .forEach(entry => {
+      extra += Number(entry.amount) || 0;
+    });
+
+  schedule
+    .filter(entry => entry.type === 'raise' && month >= Number(entry.month))
+    .forEach(entry => {
+      const everyMonths = Math.max(1, Number(entry.everyMonths) || 12);
+      const raises = Math.floor((month - Number(entry.month)) / everyMonths) + 1;
+      extra *= Math.pow(1 + (Number(entry.percent) || 0) / 100, raises);
+    });
+
+  const isPaused = schedule.some(entry =>
+    entry.type === 'pause' && month >= Number(entry.month) && month <= Number(entry.endMonth)
+  );
+
+  return isPaused ? 0 : Math.max(0, extra);
+};
+
+/**
+ * Whether the schedule keeps raising the extra payment indefinitely
+ * @param {Array} schedule - Scheduled changes
+ * @returns {boolean} - True if any recurring raise is scheduled
+ */
+export const hasRecurringRaise = (schedule) => {
+  return schedule.some(entry => entry.type === 'raise' && Number(entry.percent) > 0);
+};
+
+/**
+ * Last month in which the schedule changes the extra payment, ignoring
+ * recurring raises
+ * @param {Array} schedule - Scheduled changes
+ * @returns {number} - Month number (0 if nothing is scheduled)
+ */
+export const getLastScheduleChangeMonth = (schedule) => {
+  return schedule.reduce((lastMonth, entry) => {
+    const month = entry.type === 'pause' ? Number(entry.endMonth) + 1 : Number(entry.month);
+    return Math.max(lastMonth, month || 0);
+  }, 0);
+};
+
+/**
+ * Extra payment over time, grouped into runs of months with the same amount
+ * @param {number} baseExtra - Extra payment before any scheduled changes
+ * @param {Array} schedule - Scheduled changes
+ * @param {number} months - Number of months to cover
+ * @returns {Array} - [{ fromMonth, toMonth, amount }]
+ */
+export const getExtraPaymentTimeline = (baseExtra, schedule, months) => {
+  const timeline = [];
+  for (let month = 1; month <= months; month++) {
+    const amount = getExtraPaymentForMonth(baseExtra, schedule, month);
+    const current = timeline[timeline.length - 1];
+    if (current && Math.abs(current.amount - amount) < 0.005) {
+      current.toMonth = month;
+    } else {
+      timeline.push({ fromMonth: month, toMonth: month, amount });
+    }
+  }
+  return timeline;
+};
+
+/**
+ * Short description of a schedule entry
+ * @param {Object} entry - Scheduled change
+ * @returns {string} - e.g., "+$100 from month 7"
+ */
+export const describeScheduleEntry = (entry) => {
+  if (entry.type === 'raise') {
+    return `${entry.percent}% raise every ${entry.everyMonths} months from month ${entry.month}`;
+  }
+  if (entry.type === 'pause') {
+    return `Pause extra payments, months ${entry.month}–${entry.endMonth}`;
+  }
+  const amount = Number(entry.amount) || 0;
+  return `${amount >= 0 ? '+' : '−'}$${Math.abs(amount).toLocaleString('en-US', { maximumFractionDigits: 2 })} from month ${entry.month}`;
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Goal Seek
+ *
+ * Works backwards from a goal to the extra monthly payment that reaches it.
+ * A goal is one of:
+ * { type: 'months', targetMonths }  - debt-free within targetMonths months
+ * { type: 'interest', maxInterest } - pay no more than maxInterest in total interest
+ *
+ * The solver runs the regular strategy calculations with different extra
+ * payments and searches for the smallest whole-dollar amount that meets the
+ * goal. Scheduled extra payment changes still apply on top of the amount found.
+ */
+
+import { calculateAvalanche, calculateSnowball, calculateCustomOrder } from './repaymentStrategies.js';
+
+// Strategies the solver can search, by id
+const STRATEGY_CALCULATORS = {
+  avalanche: calculateAvalanche,
+  snowball: calculateSnowball,
+  custom: calculateCustomOrder
+};
+
+/**
+ * Whether a plan meets a goal
+ * @param {Object} plan - Result of a strategy calculation
+ * @param {Object} goal - Goal to meet (see above)
+ * @returns {boolean} - True if the plan pays off and meets the goal
+ */
+export const meetsGoal = (plan, goal) => {
+  if (!plan || plan.feasible === false) return false;
+  if (goal.type === 'interest') {
+    return plan.totalInterest <= Number(goal.maxInterest);
+  }
+  return plan.months <= Number(goal.targetMonths);
+};
+
+/**
+ * Smallest extra monthly payment that meets a goal under one strategy
+ * @param {Array} debts - List of debt objects
+ * @param {Object} goal - Goal to meet
+ * @param {string} strategy - 'avalanche', 'snowball' or 'custom'
+ * @param {Object} options - Options passed through to the strategy calculation
+ * @returns {Object|null} - { extraPayment, plan }, or null if no extra payment
+ *   reaches the goal (e.g. a target shorter than one month)
+ */
+export const findExtraPaymentForGoal = (debts, goal, strategy, options = {}) => {
+  const calculate = STRATEGY_CALCULATORS[strategy];
+  if (!calculate || !debts || debts.length === 0) return null;
+
+  const runPlan = (extraPayment) => calculate(debts, extraPayment, options);
+
+  const noExtraPlan = runPlan(0);
+  if (meetsGoal(noExtraPlan, goal)) {
+    return { extraPayment: 0, plan: noExtraPlan };
+  }
+
+  // Paying the whole balance as extra clears everything in the first month,
+  // so anything the solver can reach is reachable below this amount
+  let high = Math.ceil(debts.reduce((sum, debt) => sum + debt.balance, 0));
+  let highPlan = runPlan(high);
+  if (!meetsGoal(highPlan, goal)) return null;
+
+  // Binary search over whole dollars: low never meets the goal, high always does
+  let low = 0;
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    const middlePlan = runPlan(middle);
+    if (meetsGoal(middlePlan, goal)) {
+      high = middle;
+      highPlan = middlePlan;
+    } else {
+      low = middle;
+    }
+  }
+
+  return { extraPayment: high, plan: highPlan };
+};
+
+/**
+ * Smallest extra monthly payment that meets a goal under each strategy
+ * @param {Array} debts - List of debt objects
+ * @param {Object} goal - Goal to meet
+ * @param {Object} options - Options passed through to the strategy calculations
+ * @returns {Object} - { avalanche, snowball, custom }, each as returned by
+ *   findExtraPaymentForGoal
+ */
+export const solveExtraPaymentGoal = (debts, goal, options = {}) => {
+  return Object.keys(STRATEGY_CALCULATORS).reduce((solutions, strategy) => ({
+    ...solutions,
+    [strategy]: findExtraPaymentForGoal(debts, goal, strategy, options)
+  }), {});
+};
\ No newline at end of file
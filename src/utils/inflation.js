@@ -0,0 +1,35 @@
+/**
+ * Inflation and Present Value
+ *
+ * A dollar paid in month 200 is worth less than a dollar paid today, so plans
+ * that run for decades look cheaper than they are when their payments are
+ * simply added up. These helpers discount future amounts back to today's
+ * dollars at an annual inflation (or discount) rate. Used by the calculation
+ * engine for its present-value totals and real balances.
+ *
+ * Amounts for a month are discounted from the end of that month's billing
+ * cycle, so month 12 is discounted by one full year.
+ */
+
+/**
+ * What a dollar at the end of a month is worth today
+ * @param {number} month - Month number (1-based)
+ * @param {number} annualRate - Annual inflation or discount rate as a percent (e.g., 3)
+ * @returns {number} - Discount factor (1 at a 0% rate)
+ */
+export const getDiscountFactor = (month, annualRate) => {
+  const rate = Number(annualRate) || 0;
+  if (rate <= 0) return 1;
+  return 1 / Math.pow(1 + rate / 100, month / 12);
+};
+
+/**
+ * Convert an amount at the end of a month to today's dollars
+ * @param {number} amount - Nominal amount
+ * @param {number} month - Month number (1-based)
+ * @param {number} annualRate - Annual inflation or discount rate as a percent
+ * @returns {number} - Amount in today's dollars, in the same units as amount
+ */
+export const toRealDollars = (amount, month, annualRate) => {
+  return amount * getDiscountFactor(month, annualRate);
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Invest Versus Pay Down
+ *
+ * Compares splitting the extra monthly payment between paying down debt (with
+ * the avalanche method) and investing it at an assumed return. Every split
+ * spends the same amount each month: whatever the debts don't take, because
+ * less extra goes to them or because they're already paid off, is invested.
+ * Net worth each month is the investment balance minus the debt left.
+ *
+ * The comparison uses the plain monthly extra payment, so the extra payment
+ * schedule and payment frequency from the payment setup are left out. One-time
+ * payments still go to the debts in every split.
+ */
+
+import { calculateAvalanche } from './repaymentStrategies.js';
+import { getPlanMonthDate, toDateString } from './dates.js';
+
+// Share of the extra payment sent to the debts in each split compared
+export const INVESTMENT_SPLITS = [100, 50, 0];
+
+/**
+ * Monthly growth rate for an annual return, compounded monthly
+ * @param {number} annualReturn - Expected annual return as a percent (e.g., 7)
+ * @returns {number} - Monthly rate as a decimal
+ */
+export const getMonthlyReturn = (annualReturn) => {
+  return Math.pow(1 + (Number(annualReturn) || 0) / 100, 1 / 12) - 1;
+};
+
+/**
+ * Run one split of the extra payment between debt and investing
+ * @param {Array} debts - List of debt objects
+ * @param {number} extraPayment - Extra amount available each month
+ * @param {number} debtShare - Percent of the extra payment sent to the debts
+ * @param {Object} settings - { annualReturn, horizonMonths, startDate, oneTimePayments, excludedDebtIds,
+ *   monthlyOutlay } where monthlyOutlay defaults to the budget of the plan sending
+ *   the whole extra payment to the debts
+ * @returns {Object} - { debtShare, plan, timeline, finalNetWorth, totalInvested, investmentGrowth }
+ *   where timeline has one { month, date, investments, debt, netWorth } entry per month
+ */
+export const calculateInvestmentSplit = (debts, extraPayment, debtShare, settings) => {
+  const { annualReturn, horizonMonths, startDate, oneTimePayments = [], excludedDebtIds = [] } = settings;
+  const options = { startDate, oneTimePayments, excludedDebtIds };
+
+  // Every split spends what the all-in plan budgets: the minimums plus the whole extra
+  const monthlyOutlay = settings.monthlyOutlay ?? calculateAvalanche(debts, extraPayment, options).monthlyBudget;
+  const plan = calculateAvalanche(debts, extraPayment * debtShare / 100, options);
+  const monthlyReturn = getMonthlyReturn(annualReturn);
+  const leftoverDebt = plan.feasible === false && plan.monthlyPayments.length > 0
+    ? plan.monthlyPayments[plan.monthlyPayments.length - 1].remainingDebt
+    : 0;
+
+  const timeline = [];
+  let investments = 0;
+  let totalInvested = 0;
+  for (let month = 1; month <= horizonMonths; month++) {
+    const planMonth = plan.monthlyPayments[month - 1];
+    // One-time payments are windfalls on top of the monthly outlay
+    const paidToDebt = planMonth
+      ? planMonth.debtPayments.reduce((sum, payment) => sum + payment.payment, 0) - planMonth.oneTimePayment
+      : 0;
+    const contribution = Math.max(0, monthlyOutlay - paidToDebt);
+
+    investments = investments * (1 + monthlyReturn) + contribution;
+    totalInvested += contribution;
+    const debt = planMonth ? planMonth.remainingDebt : leftoverDebt;
+    timeline.push({
+      month,
+      date: toDateString(getPlanMonthDate(startDate, month)),
+      investments,
+      debt,
+      netWorth: investments - debt
+    });
+  }
+
+  const finalNetWorth = timeline.length > 0 ? timeline[timeline.length - 1].netWorth : 0;
+  return {
+    debtShare,
+    plan,
+    timeline,
+    finalNetWorth,
+    totalInvested,
+    investmentGrowth: investments - totalInvested
+  };
+};
+
+/**
+ * Run every split in INVESTMENT_SPLITS
+ * @param {Array} debts - List of debt objects
+ * @param {number} extraPayment - Extra amount available each month
+ * @param {Object} settings - See calculateInvestmentSplit
+ * @returns {Array} - One result per split, most to debt first
+ */
+export const compareInvestmentSplits = (debts, extraPayment, settings) => {
+  const allToDebt = calculateInvestmentSplit(debts, extraPayment, INVESTMENT_SPLITS[0], settings);
+  const splitSettings = { ...settings, monthlyOutlay: allToDebt.plan.monthlyBudget };
+  return INVESTMENT_SPLITS.map(debtShare => debtShare === INVESTMENT_SPLITS[0]
+    ? allToDebt
+    : calculateInvestmentSplit(debts, extraPayment, debtShare, splitSettings));
+};
\ No newline at end of file
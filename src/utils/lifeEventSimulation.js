@@ -0,0 +1,240 @@
+/**
+ * Life Event Simulation
+ *
+ * A single plan assumes every month goes as planned. This runs each strategy
+ * hundreds of times with random life events drawn from the chances below, and
+ * reports the spread of debt-free dates and interest, which shows how robust
+ * each plan is:
+ * - Job loss: for a few months only the minimums get paid
+ * - Surprise expense: charged to one of the credit cards (amounts vary from
+ *   half to one and a half times the typical amount)
+ * - Windfall: a one-time payment, at most once per run
+ *
+ * Every strategy sees the same events in a run, so differences between them
+ * come from the strategy rather than luck. Runs are seeded, so the same
+ * settings always give the same results.
+ *
+ * The settings are stored as:
+ * { runs, jobLossChance, jobLossMonths, surpriseChance, surpriseAmount, windfallChance, windfallAmount }
+ * where the chances are percents per year.
+ */
+
+import { calculateMinimum, calculateAvalanche, calculateSnowball, calculateCustomOrder } from './repaymentStrategies.js';
+import { getPlanMonthDate, toDateString } from './dates.js';
+
+export const DEFAULT_SIMULATION_SETTINGS = {
+  runs: 200,
+  jobLossChance: 5,
+  jobLossMonths: 3,
+  surpriseChance: 50,
+  surpriseAmount: 1000,
+  windfallChance: 10,
+  windfallAmount: 2000
+};
+
+export const SIMULATION_STRATEGIES = ['minimum', 'avalanche', 'snowball', 'custom'];
+
+// Events are drawn this many months past the longest plan, since setbacks
+// can push a payoff beyond it
+const EXTRA_EVENT_MONTHS = 60;
+
+const SIMULATION_SEED = 20240101;
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - Starting seed
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Monthly chance of an event with a given yearly chance
+ * @param {number} annualChance - Chance per year as a percent
+ * @returns {number} - Chance per month as a decimal
+ */
+const getMonthlyChance = (annualChance) => {
+  const chance = Math.min(Math.max(Number(annualChance) || 0, 0), 100) / 100;
+  return 1 - Math.pow(1 - chance, 1 / 12);
+};
+
+/**
+ * Draw one run's life events
+ * @param {Function} random - Random number generator from createRandom
+ * @param {Object} settings - Simulation settings
+ * @param {number} horizonMonths - Months to draw events for
+ * @param {Array} cardIds - Ids of the credit cards surprise expenses can go on
+ * @returns {Object} - { minimumOnlyMonths, surpriseCharges, windfall } in the
+ *   engine's option formats, with windfall null if none came
+ */
+const drawLifeEvents = (random, settings, horizonMonths, cardIds) => {
+  const jobLossChance = getMonthlyChance(settings.jobLossChance);
+  const surpriseChance = cardIds.length > 0 ? getMonthlyChance(settings.surpriseChance) : 0;
+  const windfallChance = getMonthlyChance(settings.windfallChance);
+  const jobLossMonths = Math.max(1, parseInt(settings.jobLossMonths, 10) || 1);
+
+  const minimumOnlyMonths = [];
+  const surpriseCharges = [];
+  let windfall = null;
+  let jobLossEndMonth = 0;
+
+  for (let month = 1; month <= horizonMonths; month++) {
+    if (month > jobLossEndMonth && random() < jobLossChance) {
+      jobLossEndMonth = month + jobLossMonths - 1;
+      for (let lostMonth = month; lostMonth <= jobLossEndMonth; lostMonth++) minimumOnlyMonths.push(lostMonth);
+    }
+    if (random() < surpriseChance) {
+      const amount = Math.round(settings.surpriseAmount * (0.5 + random()) * 100) / 100;
+      const debtId = cardIds[Math.floor(random() * cardIds.length)];
+      surpriseCharges.push({ month, amount, debtId });
+    }
+    if (!windfall && random() < windfallChance) {
+      windfall = { id: `windfall-${month}`, month, amount: Number(settings.windfallAmount) || 0, debtId: null };
+    }
+  }
+
+  return { minimumOnlyMonths, surpriseCharges, windfall };
+};
+
+/**
+ * Value at a percentile of sorted values (nearest rank)
+ * @param {Array} sortedValues - Values sorted ascending
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} - The value
+ */
+const getPercentile = (sortedValues, percentile) => {
+  const rank = Math.ceil(percentile / 100 * sortedValues.length);
+  return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+};
+
+/**
+ * Calculate one strategy's plan
+ * @param {string} strategy - 'minimum', 'avalanche', 'snowball' or 'custom'
+ * @param {Array} debts - List of debt objects
+ * @param {number} extraPayment - Extra amount available each month
+ * @param {Object} options - Engine options
+ * @returns {Object} - Plan results
+ */
+const calculateStrategy = (strategy, debts, extraPayment, options) => {
+  if (strategy === 'minimum') return calculateMinimum(debts, options);
+  if (strategy === 'avalanche') return calculateAvalanche(debts, extraPayment, options);
+  if (strategy === 'snowball') return calculateSnowball(debts, extraPayment, options);
+  return calculateCustomOrder(debts, extraPayment, options);
+};
+
+/**
+ * Summarize a strategy's runs
+ * @param {Object} baseline - Plan with no life events
+ * @param {Array} runs - [{ months, totalInterest, paidOff }] one per run
+ * @param {string} startDate - 'YYYY-MM-DD' the plan begins
+ * @returns {Object} - { baseline, paidOffShare, onScheduleShare, debtFreeDates, interest, byYear }
+ *   where debtFreeDates and interest hold { p10, p50, p90 } (a null date means
+ *   that share of runs never pays off) and byYear is [{ year, count }] of the
+ *   runs paid off in each calendar year
+ */
+const summarizeRuns = (baseline, runs, startDate) => {
+  const getDate = (months) => months === Infinity ? null : toDateString(getPlanMonthDate(startDate, months));
+  const months = runs.map(run => run.paidOff ? run.months : Infinity).sort((a, b) => a - b);
+  const interest = runs.map(run => run.totalInterest).sort((a, b) => a - b);
+  const paidOffRuns = runs.filter(run => run.paidOff);
+
+  const countsByYear = {};
+  paidOffRuns.forEach(run => {
+    const year = getPlanMonthDate(startDate, run.months).getUTCFullYear();
+    countsByYear[year] = (countsByYear[year] || 0) + 1;
+  });
+
+  return {
+    baseline,
+    paidOffShare: paidOffRuns.length / runs.length,
+    onScheduleShare: baseline.feasible === false
+      ? 0
+      : paidOffRuns.filter(run => run.months <= baseline.months).length / runs.length,
+    debtFreeDates: {
+      p10: getDate(getPercentile(months, 10)),
+      p50: getDate(getPercentile(months, 50)),
+      p90: getDate(getPercentile(months, 90))
+    },
+    interest: {
+      p10: getPercentile(interest, 10),
+      p50: getPercentile(interest, 50),
+      p90: getPercentile(interest, 90)
+    },
+    byYear: Object.keys(countsByYear)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(year => ({ year, count: countsByYear[year] }))
+  };
+};
+
+/**
+ * Set up a simulation that runs a few runs at a time, so a page can keep
+ * responding (and show progress) between batches
+ * @param {Array} debts - List of debt objects
+ * @param {number} extraPayment - Extra amount available each month
+ * @param {Object} settings - Simulation settings (see DEFAULT_SIMULATION_SETTINGS)
+ * @param {Object} options - Engine options shared by every run (oneTimePayments,
+ *   startDate, extraPaymentSchedule, ...); windfalls are added to its one-time payments
+ * @returns {Object} - { runs, runNext, getResults } where runNext(count) does up to
+ *   count more runs and returns how many are done so far, and getResults() returns
+ *   { runs, results } with results mapping each strategy in SIMULATION_STRATEGIES
+ *   to its summary (see summarizeRuns) of the runs done so far
+ */
+export const createLifeEventSimulation = (debts, extraPayment, settings, options = {}) => {
+  const runCount = Math.max(1, parseInt(settings.runs, 10) || DEFAULT_SIMULATION_SETTINGS.runs);
+  const oneTimePayments = options.oneTimePayments || [];
+  const cardIds = debts.filter(debt => debt.isCreditCard).map(debt => debt.id);
+  const random = createRandom(SIMULATION_SEED);
+
+  const baselines = {};
+  SIMULATION_STRATEGIES.forEach(strategy => {
+    baselines[strategy] = calculateStrategy(strategy, debts, extraPayment, options);
+  });
+  const horizonMonths = Math.max(...SIMULATION_STRATEGIES.map(strategy => baselines[strategy].months)) + EXTRA_EVENT_MONTHS;
+
+  const runsByStrategy = {};
+  SIMULATION_STRATEGIES.forEach(strategy => {
+    runsByStrategy[strategy] = [];
+  });
+  let completedRuns = 0;
+
+  const runNext = (count) => {
+    const lastRun = Math.min(runCount, completedRuns + count);
+    for (; completedRuns < lastRun; completedRuns++) {
+      const { minimumOnlyMonths, surpriseCharges, windfall } = drawLifeEvents(random, settings, horizonMonths, cardIds);
+      const runOptions = {
+        ...options,
+        oneTimePayments: windfall && windfall.amount > 0 ? [...oneTimePayments, windfall] : oneTimePayments,
+        minimumOnlyMonths,
+        surpriseCharges
+      };
+      SIMULATION_STRATEGIES.forEach(strategy => {
+        const plan = calculateStrategy(strategy, debts, extraPayment, runOptions);
+        runsByStrategy[strategy].push({
+          months: plan.months,
+          totalInterest: plan.totalInterest,
+          paidOff: plan.feasible !== false
+        });
+      });
+    }
+    return completedRuns;
+  };
+
+  const getResults = () => {
+    const results = {};
+    SIMULATION_STRATEGIES.forEach(strategy => {
+      results[strategy] = summarizeRuns(baselines[strategy], runsByStrategy[strategy], options.startDate);
+    });
+    return { runs: completedRuns, results };
+  };
+
+  return { runs: runCount, runNext, getResults };
+};
\ No newline at end of file
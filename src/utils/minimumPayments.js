@@ -0,0 +1,119 @@
+/**
+ * Credit Card Minimum Payment Rules
+ *
+ * Shared by the debt forms (for the payment preview) and the calculation
+ * engine (to recalculate the minimum each month), so both always agree.
+ *
+ * A rule is either one of the presets below or a custom rule:
+ * { preset: 'custom', percent, includeInterest, includeFees, floor }
+ */
+
+/**
+ * Issuer-style presets used in lessons
+ */
+export const MINIMUM_PAYMENT_PRESETS = {
+  standard: {
+    label: '1% of balance + interest (min $25)',
+    percent: 1,
+    includeInterest: true,
+    includeFees: false,
+    floor: 25
+  },
+  interestAndFees: {
+    label: '1% of balance + interest + fees (min $35)',
+    percent: 1,
+    includeInterest: true,
+    includeFees: true,
+    floor: 35
+  },
+  twoPercent: {
+    label: '2% of balance (min $25)',
+    percent: 2,
+    includeInterest: false,
+    includeFees: false,
+    floor: 25
+  },
+  threePercent: {
+    label: '3% of balance (min $35)',
+    percent: 3,
+    includeInterest: false,
+    includeFees: false,
+    floor: 35
+  }
+};
+
+export const DEFAULT_MINIMUM_RULE = { preset: 'standard' };
+
+/**
+ * Turn a stored rule into concrete formula settings
+ * @param {Object} rule - { preset } or a custom rule
+ * @returns {Object} - { percent, includeInterest, includeFees, floor }
+ */
+export const resolveMinimumRule = (rule = DEFAULT_MINIMUM_RULE) => {
+  if (rule && rule.preset !== 'custom' && MINIMUM_PAYMENT_PRESETS[rule.preset]) {
+    return MINIMUM_PAYMENT_PRESETS[rule.preset];
+  }
+  if (rule && rule.preset === 'custom') {
+    return {
+      percent: Number(rule.percent) || 0,
+      includeInterest: !!rule.includeInterest,
+      includeFees: !!rule.includeFees,
+      floor: Number(rule.floor) || 0
+    };
+  }
+  return MINIMUM_PAYMENT_PRESETS.standard;
+};
+
+/**
+ * Describe a rule in plain words for the UI
+ * @param {Object} rule - { preset } or a custom rule
+ * @returns {string} - e.g. "1% of balance + interest (min $25)"
+ */
+export const describeMinimumRule = (rule = DEFAULT_MINIMUM_RULE) => {
+  if (rule && MINIMUM_PAYMENT_PRESETS[rule.preset]) {
+    return MINIMUM_PAYMENT_PRESETS[rule.preset].label;
+  }
+  const { percent, includeInterest, includeFees, floor } = resolveMinimumRule(rule);
+  let description = `${percent}% of balance`;
+  if (includeInterest) description += ' + interest';
+  if (includeFees) description += ' + fees';
+  return `${description} (min $${floor})`;
+};
+
+/**
+ * Calculate a credit card minimum payment
+ * @param {number} balance - Current balance
+ * @param {number} interest - Interest charged this billing cycle
+ * @param {Object} rule - Minimum payment rule (defaults to the standard preset)
+ * @param {number} fees - Fees charged this billing cycle
+ * @returns {number} - Minimum payment amount
+ */
+export const calculateCreditCardMinimum = (balance, interest, rule = DEFAULT_MINIMUM_RULE, fees = 0) => {
+  if (balance <= 0) return 0;
+
+  const { percent, includeInterest, includeFees, floor } = resolveMinimumRule(rule);
+
+  let calculated_minimum = balance * (percent / 100);
+  if (includeInterest) calculated_minimum += interest;
+  if (includeFees) calculated_minimum += fees;
+
+  // Balances under the floor are due in full, along with this cycle's interest
+  // and fees; otherwise never below the floor
+  if (balance < floor) return balance + interest + fees;
+  return Math.max(calculated_minimum, floor);
+};
+
+/**
+ * Clean up rule values coming from a form before they are stored on a debt
+ * @param {Object} rule - Raw { preset, percent, includeInterest, includeFees, floor }
+ * @returns {Object} - { preset } for presets, or a numeric custom rule
+ */
+export const normalizeMinimumRule = (rule) => {
+  if (!rule || rule.preset !== 'custom') {
+    return { preset: rule && MINIMUM_PAYMENT_PRESETS[rule.preset] ? rule.preset : DEFAULT_MINIMUM_RULE.preset };
+  }
+  return {
+    preset: 'custom',
+    ...resolveMinimumRule(rule)
+  };
+};
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * Money Helpers
+ *
+ * The calculation engine keeps every balance, charge and payment in integer
+ * cents so sums never drift. Amounts are converted at the edges: dollars in
+ * from the debt list and options, dollars out in the results.
+ */
+
+/**
+ * Convert a dollar amount to whole cents, rounding half up
+ * @param {number} dollars - Amount in dollars
+ * @returns {number} - Amount in integer cents
+ */
+export const toCents = (dollars) => {
+  // Trim float noise first so amounts like 1.005 round up as written
+  return Math.round(Number(((Number(dollars) || 0) * 100).toFixed(6)));
+};
+
+/**
+ * Convert whole cents back to dollars
+ * @param {number} cents - Amount in integer cents
+ * @returns {number} - Amount in dollars
+ */
+export const fromCents = (cents) => {
+  return cents / 100;
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Mortgages
+ *
+ * Helpers for the parts of a mortgage payment that other installment loans
+ * don't have: escrow for property taxes and insurance, private mortgage
+ * insurance (PMI) and recasting. Used by the debt forms, the debt list and
+ * the calculation engine.
+ *
+ * Mortgage settings are stored on a debt as:
+ * mortgage: { homeValue, monthlyEscrow, pmiRate, recastThreshold }
+ * where homeValue is the home's value when the loan was made, pmiRate is the
+ * annual PMI premium as a percent of the original loan amount, and
+ * recastThreshold is how much principal must be prepaid before the lender
+ * recasts (re-amortizes the lower balance over the rest of the term).
+ * The debt's own minPayment / loanTerms cover principal and interest only.
+ */
+
+// Lenders must drop PMI once the balance is scheduled to reach 78% of the original home value
+export const PMI_REMOVAL_LTV = 0.78;
+
+export const DEFAULT_MORTGAGE = {
+  homeValue: '',
+  monthlyEscrow: '',
+  pmiRate: '',
+  recastThreshold: ''
+};
+
+/**
+ * Monthly PMI premium
+ * @param {Object} mortgage - Mortgage settings
+ * @param {number} originalPrincipal - Amount originally borrowed
+ * @returns {number} - Monthly premium in dollars (0 without PMI)
+ */
+export const getPmiPayment = (mortgage, originalPrincipal) => {
+  return ((Number(originalPrincipal) || 0) * (Number(mortgage.pmiRate) || 0)) / 100 / 12;
+};
+
+/**
+ * Balance at which PMI is removed
+ * @param {Object} mortgage - Mortgage settings
+ * @returns {number} - 78% of the original home value, in dollars
+ */
+export const getPmiRemovalBalance = (mortgage) => {
+  return (Number(mortgage.homeValue) || 0) * PMI_REMOVAL_LTV;
+};
+
+/**
+ * Ids of the mortgages in a debt list
+ * @param {Array} debts - List of debt objects
+ * @returns {Array} - Debt ids
+ */
+export const getMortgageIds = (debts) => {
+  return debts.filter(debt => debt.mortgage).map(debt => debt.id);
+};
+
+/**
+ * Turn mortgage form values into stored settings
+ * @param {Object} values - Raw form values
+ * @returns {Object} - Mortgage settings with numbers parsed
+ */
+export const normalizeMortgage = (values = {}) => {
+  return {
+    homeValue: parseFloat(values.homeValue) || 0,
+    monthlyEscrow: parseFloat(values.monthlyEscrow) || 0,
+    pmiRate: parseFloat(values.pmiRate) || 0,
+    recastThreshold: parseFloat(values.recastThreshold) || 0
+  };
+};
+
+/**
+ * Short description of a mortgage's extras, for lists
+ * @param {Object} mortgage - Mortgage settings
+ * @returns {string} - e.g. "Mortgage · $450/mo escrow · PMI until $234,000"
+ */
+export const describeMortgage = (mortgage) => {
+  const formatDollars = (amount) => `$${amount.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  const parts = ['Mortgage'];
+
+  if (mortgage.monthlyEscrow > 0) {
+    parts.push(`${formatDollars(mortgage.monthlyEscrow)}/mo escrow`);
+  }
+  if (mortgage.pmiRate > 0 && mortgage.homeValue > 0) {
+    parts.push(`PMI until ${formatDollars(getPmiRemovalBalance(mortgage))}`);
+  }
+  if (mortgage.recastThreshold > 0) {
+    parts.push(`recast every ${formatDollars(mortgage.recastThreshold)} prepaid`);
+  }
+  return parts.join(' · ');
+};
\ No newline at end of file
@@ -19,14 +19,6 @@ import { calculateAvalanche, calculateSnowball, calculateMinimum } from './repay
 function testPaymentConsistency(debts, extraPayment, strategyName, strategyFunction) {
   console.log(`\n=== Testing ${strategyName} Payment Consistency ===`);
   
-  // Calculate total expected monthly payment
-  const totalMinimumPayments = debts.reduce((sum, debt) => sum + debt.minPayment, 0);
-  const expectedMonthlyTotal = totalMinimumPayments + extraPayment;
-  
-  console.log(`Expected monthly payment: $${expectedMonthlyTotal.toFixed(2)}`);
-  console.log(`  - Total minimum payments: $${totalMinimumPayments.toFixed(2)}`);
-  console.log(`  - Extra payment: $${extraPayment.toFixed(2)}`);
-  
   // Run the strategy calculation
   const result = strategyFunction(debts, extraPayment);
   
@@ -35,6 +27,14 @@ function testPaymentConsistency(debts, extraPayment, strategyName, strategyFunct
     return { success: false, message: 'No data available' };
   }
   
+  // The engine's budget is month 1's minimums (card minimums are recalculated
+  // from the balance) plus the extra payment
+  const expectedMonthlyTotal = result.monthlyBudget;
+  
+  console.log(`Expected monthly payment: $${expectedMonthlyTotal.toFixed(2)}`);
+  console.log(`  - Month 1 minimum payments: $${(expectedMonthlyTotal - extraPayment).toFixed(2)}`);
+  console.log(`  - Extra payment: $${extraPayment.toFixed(2)}`);
+  
   let inconsistentMonths = [];
   let totalPayments = [];
   
@@ -43,14 +43,14 @@ function testPaymentConsistency(debts, extraPayment, strategyName, strategyFunct
     const monthlyTotal = month.debtPayments.reduce((sum, payment) => sum + payment.payment, 0);
     totalPayments.push(monthlyTotal);
     
-    // Allow for small rounding differences (less than $0.10)
+    // The engine works in whole cents, so totals must match to the cent
     const difference = Math.abs(monthlyTotal - expectedMonthlyTotal);
     
     // Skip the final month if it's less than expected (remaining balance < full budget)
     const isLastMonth = index === result.monthlyPayments.length - 1;
     const isUnderPayment = monthlyTotal < expectedMonthlyTotal;
     
-    if (difference > 0.10 && !(isLastMonth && isUnderPayment)) {
+    if (difference > 0.005 && !(isLastMonth && isUnderPayment)) {
       inconsistentMonths.push({
         month: month.month,
         actual: monthlyTotal,
@@ -130,7 +130,6 @@ export function runPaymentConsistencyTests(debts = null, extraPayment = 300) {
   console.log(`  - ${testDebts.length} debts totaling $${totalDebt.toFixed(2)}`);
   console.log(`  - Total minimum payments: $${totalMinPayments.toFixed(2)}`);
   console.log(`  - Extra payment: $${extraPayment.toFixed(2)}`);
-  console.log(`  - Expected monthly total: $${(totalMinPayments + extraPayment).toFixed(2)}`);
   
   // Test all strategies
   const avalancheResult = testPaymentConsistency(testDebts, extraPayment, 'Avalanche', calculateAvalanche);
@@ -1,104 +1,1022 @@
 /**
  * Unified Debt Repayment Calculation System
  * 
- * This system handles all three repayment methods with shared calculation logic:
+ * This system handles all repayment methods with shared calculation logic:
  * - Minimum payments only
  * - Avalanche method (highest APR first)
+ * - After-tax avalanche (highest APR after deductible interest first)
  * - Snowball method (lowest balance first)
+ * - Custom order (user-defined priority)
  * 
  * Follows the specification for credit card minimum calculations and
  * consistent monthly payment processing.
+ *
+ * Money is kept in integer cents inside the engine, with the rounding rules
+ * lenders use: each cycle's interest, fee, minimum payment and new charges are
+ * rounded to the nearest cent, and everything else is an exact sum of cents.
+ * Every row of the schedule therefore reconciles to the penny:
+ * previous balance + interest + fees + new charges - payment - forgiven = new balance.
+ * Inputs and results are in dollars.
  */
 
+import { calculateCreditCardMinimum } from './minimumPayments.js';
+import { calculateAmortizedPayment, deriveLoanPayment, getRemainingTerm } from './amortization.js';
+import { parseStartDate, addMonths, toDateString, getDaysInCycle, getPaymentDaysInCycle } from './dates.js';
+import { getExtraPaymentForMonth, getLastScheduleChangeMonth, hasRecurringRaise } from './extraPaymentSchedule.js';
+import { toCents, fromCents } from './money.js';
+import { calculateIdrPayment, getPauseWindow, isPauseMonth, getForgivenessMonth } from './studentLoans.js';
+import { getPmiPayment, getPmiRemovalBalance } from './mortgages.js';
+import { STUDENT_LOAN_INTEREST_CAP, isInterestDeductible, getAfterTaxApr } from './taxes.js';
+import { getDiscountFactor } from './inflation.js';
+import { getEmergencyForMonth } from './emergencyFund.js';
+
 /**
- * Calculate credit card minimum payment using the standard formula
- * @param {number} balance - Current balance
- * @param {number} apr - Annual percentage rate (as decimal, e.g., 0.1999)
- * @returns {number} - Minimum payment amount
+ * Interest charged on a debt for one billing cycle
+ * @param {Object} debt - Debt with balance (cents), apr (decimal) and interestMethod
+ * @param {number} daysInCycle - Actual days in this billing cycle
+ * @param {number} balance - Average balance for the cycle in cents (defaults to debt.balance)
+ * @returns {number} - Interest for the cycle in cents, rounded to the nearest cent
  */
-const calculateCreditCardMinimum = (balance, apr) => {
-  if (balance <= 0) return 0;
-  
-  const monthly_interest = balance * (apr / 12);
-  const base = 0.01 * balance;
-  const calculated_minimum = base + monthly_interest;
-  
-  // Apply the three-tier rule
-  if (balance < 25) return balance;
-  if (calculated_minimum < 25) return 25;
-  return calculated_minimum;
+const calculateCycleInterest = (debt, daysInCycle, balance = debt.balance) => {
+  if (debt.interestMethod === 'daily') {
+    // Daily periodic rate times days in the cycle, as card statements do
+    return Math.round(balance * (debt.apr / 365) * daysInCycle);
+  }
+  // Simple monthly: APR / 12 regardless of the cycle length
+  return Math.round(balance * (debt.apr / 12));
+};
+
+/**
+ * Payment details for a debt that receives nothing this month
+ * @param {number|string} debtId - Debt id
+ * @returns {Object} - Zeroed payment details
+ */
+const createEmptyPayment = (debtId) => ({
+  debtId,
+  payment: 0,
+  minimumPayment: 0,
+  extraPayment: 0,
+  lumpSumPayment: 0,
+  balance: 0,
+  interestCharged: 0,
+  feeCharged: 0,
+  newCharges: 0,
+  chargesPaidInFull: 0,
+  escrowPaid: 0
+});
+
+/**
+ * Recurring charge billed to a debt each cycle: a card's monthly fee, or PMI
+ * on a mortgage until it is removed
+ * @param {Object} debt - Working debt (amounts in cents)
+ * @returns {number} - Charge in cents
+ */
+const getCycleFee = (debt) => {
+  if (debt.isCreditCard) return debt.monthlyFee;
+  return debt.pmiActive ? debt.pmiPayment : 0;
+};
+
+/**
+ * Minimum payment due on a debt this month
+ * @param {Object} debt - Working debt (apr as a decimal, amounts in cents)
+ * @param {number} daysInCycle - Days in this billing cycle
+ * @returns {number} - Minimum payment in cents
+ */
+const getMinimumPayment = (debt, daysInCycle) => {
+  // Nothing is due on a student loan in deferment or forbearance
+  if (debt.pauseType) return 0;
+  if (!debt.isCreditCard) {
+    // Installment loans: the last scheduled payment clears whatever rounding left over
+    if (debt.scheduledPaymentsLeft === 1) {
+      return debt.balance + calculateCycleInterest(debt, daysInCycle) + getCycleFee(debt);
+    }
+    // Other loans: fixed minimum payment, plus PMI on mortgages that still carry it
+    return debt.minPayment + getCycleFee(debt);
+  }
+  // Credit cards: recalculate minimum each month using the card's rule
+  return toCents(calculateCreditCardMinimum(
+    fromCents(debt.balance),
+    fromCents(calculateCycleInterest(debt, daysInCycle)),
+    debt.minimumRule,
+    fromCents(debt.monthlyFee)
+  ));
 };
 
 /**
  * Process monthly payment for a single debt
- * @param {Object} debt - Debt object with balance, apr, minPayment, isCreditCard
- * @param {number} paymentAmount - Total payment to apply this month
+ * @param {Object} debt - Debt object with balance, apr (this month's rate), minPayment, isCreditCard
+ * @param {number} paymentAmount - Total payment to apply this month, in cents
  * @param {Object} totals - Running totals to update
- * @returns {Object} - Payment details for this month
+ * @param {number} daysInCycle - Days in this billing cycle (used by the daily interest method)
+ * @param {number} paymentShare - Monthly payments' worth made this cycle (see getPaymentShare)
+ * @returns {Object} - Payment details for this month, in cents
  */
-const processMonthlyDebtPayment = (debt, paymentAmount, totals) => {
+const processMonthlyDebtPayment = (debt, paymentAmount, totals, daysInCycle, paymentShare = 1) => {
   if (debt.balance <= 0) {
-    return {
-      debtId: debt.id,
-      payment: 0,
-      minimumPayment: 0,
-      extraPayment: 0,
-      balance: 0,
-      interestCharged: 0
-    };
+    return createEmptyPayment(debt.id);
   }
 
-  const monthly_interest = debt.balance * (debt.apr / 12);
-  let minimumPayment;
+  // New card spending either revolves with the balance or is paid in full
+  // separately. Revolving charges lose the grace period and accrue interest
+  // from the purchase date (half a cycle on average)
+  const newCharges = debt.payInFull ? 0 : debt.monthlySpending;
+  const chargesPaidInFull = debt.payInFull ? debt.monthlySpending : 0;
   
-  if (debt.isCreditCard) {
-    // Credit cards: recalculate minimum each month
-    minimumPayment = calculateCreditCardMinimum(debt.balance, debt.apr);
-  } else {
-    // Other loans: fixed minimum payment
-    minimumPayment = debt.minPayment;
-  }
+  // Unpaid student loan interest doesn't earn interest until it is capitalized,
+  // and subsidized loans charge none during deferment
+  const interestFree = debt.pauseType === 'deferment' && debt.studentLoan.subsidized;
+  const monthly_interest = interestFree
+    ? 0
+    : calculateCycleInterest(debt, daysInCycle, debt.balance - debt.unpaidInterest + newCharges / 2);
+  const minimumPayment = Math.round(getMinimumPayment(debt, daysInCycle) * paymentShare);
   
-  // Apply payment
-  const actualPayment = Math.min(paymentAmount, debt.balance);
-  const principal_payment = actualPayment - monthly_interest;
+  // Recurring card fees and PMI are billed to the balance each cycle
+  const fee = getCycleFee(debt);
   
-  // Ensure principal payment is not negative
-  const safe_principal = Math.max(0, principal_payment);
+  // Apply payment (never more than the full payoff amount, including this month's interest and charges)
+  const actualPayment = Math.min(paymentAmount, debt.balance + monthly_interest + fee + newCharges);
   
-  // Update debt balance
-  debt.balance = Math.max(0, debt.balance - safe_principal);
+  // Update debt balance. Interest and fees the payment doesn't cover are
+  // added to the balance (negative amortization)
+  debt.balance = debt.balance + monthly_interest + fee + newCharges - actualPayment;
+  if (debt.studentLoan) {
+    // Payments go to outstanding interest first
+    debt.unpaidInterest = Math.max(0, debt.unpaidInterest + monthly_interest - actualPayment);
+  }
   
   // Update totals
   totals.totalInterest += monthly_interest;
+  totals.totalFees += fee;
+  if (debt.pmiActive) totals.totalPmi += fee;
+  totals.totalNewCharges += newCharges;
   totals.totalPaid += actualPayment;
+  // Escrow for taxes and insurance is collected with the payment but never touches the loan
+  totals.totalEscrow += debt.monthlyEscrow;
   
   return {
     debtId: debt.id,
     payment: actualPayment,
     minimumPayment: minimumPayment,
     extraPayment: Math.max(0, actualPayment - minimumPayment),
+    lumpSumPayment: 0,
     balance: debt.balance,
-    interestCharged: monthly_interest
+    interestCharged: monthly_interest,
+    feeCharged: fee,
+    newCharges,
+    chargesPaidInFull,
+    escrowPaid: debt.monthlyEscrow
+  };
+};
+
+/**
+ * APR stored as a decimal back as a percent, rounded to drop the float noise
+ * the conversion adds (0.07 * 100 is 7.000000000000001)
+ * @param {number} apr - APR as a decimal
+ * @returns {number} - APR as a percent, to 4 decimal places
+ */
+const toAprPercent = (apr) => {
+  return Math.round(apr * 100 * 1e4) / 1e4;
+};
+
+/**
+ * APR in effect for a debt in a given month
+ * @param {Object} debt - Working debt with baseApr, optional promo terms and
+ *   an optional rateSchedule sorted by month
+ * @param {number} month - Month number (1-based)
+ * @returns {number} - APR as a decimal
+ */
+const getAprForMonth = (debt, month) => {
+  if (debt.promoMonths > 0 && month <= debt.promoMonths) {
+    return debt.promoApr;
+  }
+  
+  // Latest scheduled change that has taken effect, if any
+  let apr = debt.baseApr;
+  for (const change of debt.rateSchedule) {
+    if (change.month > month) break;
+    apr = change.apr;
+  }
+  return apr;
+};
+
+/**
+ * Update each debt's rate for the coming month and handle deferred interest
+ * @param {Array} workingDebts - Debts being simulated (apr and balance are updated)
+ * @param {number} month - Month number (1-based)
+ * @param {Object} totals - Running totals to update
+ * @param {number} daysInCycle - Days in this billing cycle
+ * @returns {Object} - { rateChanges, deferredCharges } where rateChanges lists
+ *   [{ debtId, fromApr, toApr }] in percent and deferredCharges holds the back
+ *   interest added to each debt, by index
+ */
+const updateDebtRates = (workingDebts, month, totals, daysInCycle) => {
+  const rateChanges = [];
+  const deferredCharges = workingDebts.map(() => 0);
+
+  workingDebts.forEach((debt, index) => {
+    if (debt.balance <= 0) return;
+
+    if (debt.deferredInterest && debt.promoMonths > 0) {
+      if (month <= debt.promoMonths) {
+        // Interest still builds up at the regular rate behind the promo
+        debt.deferredInterestAccrued += calculateCycleInterest({ ...debt, apr: debt.baseApr }, daysInCycle);
+      } else if (month === debt.promoMonths + 1) {
+        // Promo balance wasn't cleared in time: all the back interest lands
+        debt.balance += debt.deferredInterestAccrued;
+        totals.totalInterest += debt.deferredInterestAccrued;
+        deferredCharges[index] = debt.deferredInterestAccrued;
+        debt.deferredInterestAccrued = 0;
+      }
+    }
+
+    const newApr = getAprForMonth(debt, month);
+    if (newApr !== debt.apr) {
+      rateChanges.push({
+        debtId: debt.id,
+        fromApr: toAprPercent(debt.apr),
+        toApr: toAprPercent(newApr)
+      });
+      debt.apr = newApr;
+    }
+  });
+
+  return { rateChanges, deferredCharges };
+};
+
+/**
+ * Update each student loan's deferment or forbearance status for the coming
+ * month, capitalizing the interest that built up once a pause ends
+ * @param {Array} workingDebts - Debts being simulated (pauseType and unpaidInterest are updated)
+ * @param {number} month - Month number (1-based)
+ * @returns {Array} - Interest capitalized on each debt this month in cents, by index
+ */
+const updateStudentLoanStatus = (workingDebts, month) => {
+  return workingDebts.map(debt => {
+    if (!debt.studentLoan) return 0;
+
+    debt.pauseType = isPauseMonth(debt.studentLoan, month) ? debt.studentLoan.pauseType : null;
+
+    const pause = getPauseWindow(debt.studentLoan);
+    if (!pause || month !== pause.endMonth + 1 || debt.balance <= 0) return 0;
+
+    // The balance already includes the unpaid interest; from now on it earns interest too
+    const capitalized = debt.unpaidInterest;
+    debt.unpaidInterest = 0;
+    return capitalized;
+  });
+};
+
+/**
+ * Forgive what's left on student loans that reach their forgiveness date
+ * @param {Array} workingDebts - Debts being simulated (balances are updated)
+ * @param {Array} monthPaymentBreakdown - This month's per-debt payment details
+ * @param {number} month - Month number (1-based)
+ * @param {Object} totals - Running totals to update
+ */
+const applyForgiveness = (workingDebts, monthPaymentBreakdown, month, totals) => {
+  workingDebts.forEach((debt, index) => {
+    if (debt.forgivenessMonth !== month || debt.balance <= 0) return;
+
+    const paymentInfo = monthPaymentBreakdown[index];
+    paymentInfo.forgiven = debt.balance;
+    paymentInfo.balance = 0;
+    totals.totalForgiven += debt.balance;
+    debt.balance = 0;
+    debt.unpaidInterest = 0;
+  });
+};
+
+/**
+ * Income tax saved this month by deducting interest. Only interest actually
+ * paid counts, so interest that accrues unpaid (during a pause, under an IDR
+ * payment too small to cover it, or that is later forgiven) earns nothing.
+ * Student loan interest counts only until the yearly cap is used up across
+ * all student loans.
+ * @param {Array} workingDebts - Debts being simulated
+ * @param {Array} monthPaymentBreakdown - This month's per-debt payment details
+ * @param {number} marginalTaxRate - Marginal tax rate as a percent
+ * @param {Object} studentLoanDeduction - { year, deducted } student loan interest
+ *   deducted so far this tax year in cents (updated)
+ * @param {string} date - 'YYYY-MM-DD' the billing cycle begins
+ * @returns {number} - Tax saved in cents
+ */
+const calculateTaxBenefit = (workingDebts, monthPaymentBreakdown, marginalTaxRate, studentLoanDeduction, date) => {
+  if (marginalTaxRate <= 0) return 0;
+
+  // A new tax year starts the cap over
+  const year = Number(date.slice(0, 4));
+  if (studentLoanDeduction.year !== year) {
+    studentLoanDeduction.year = year;
+    studentLoanDeduction.deducted = 0;
+  }
+
+  let deductible = 0;
+  workingDebts.forEach((debt, index) => {
+    if (!isInterestDeductible(debt)) return;
+
+    // Payments go to the month's interest before principal
+    const paymentInfo = monthPaymentBreakdown[index];
+    const interest = Math.min(paymentInfo.payment, paymentInfo.interestCharged);
+    if (debt.interestDeduction === 'full') {
+      deductible += interest;
+    } else {
+      const allowed = Math.min(interest, Math.max(0, toCents(STUDENT_LOAN_INTEREST_CAP) - studentLoanDeduction.deducted));
+      studentLoanDeduction.deducted += allowed;
+      deductible += allowed;
+    }
+  });
+
+  return Math.round(deductible * marginalTaxRate / 100);
+};
+
+/**
+ * Pay this month's simulated emergency out of the emergency fund
+ * @param {Object} savings - Emergency fund state in cents (balance is updated)
+ * @param {number} month - Month number (1-based)
+ * @returns {Object} - { withdrawn, shortfall } in cents, where shortfall is the
+ *   part of the emergency the fund couldn't cover
+ */
+const withdrawEmergency = (savings, month) => {
+  if (!savings.settings) return { withdrawn: 0, shortfall: 0 };
+
+  const emergency = toCents(getEmergencyForMonth(savings.settings, month));
+  const withdrawn = Math.min(emergency, savings.balance);
+  savings.balance -= withdrawn;
+  return { withdrawn, shortfall: emergency - withdrawn };
+};
+
+/**
+ * Credit card an emergency the fund can't cover goes on: the one with the
+ * highest APR this month, paid off or not, since cards stay open
+ * @param {Array} workingDebts - Debts being simulated
+ * @returns {number} - Index of the card, or -1 if there is no credit card
+ */
+const getEmergencyCardIndex = (workingDebts) => {
+  return workingDebts.reduce((best, debt, index) => {
+    if (!debt.isCreditCard) return best;
+    return best === -1 || debt.apr > workingDebts[best].apr ? index : best;
+  }, -1);
+};
+
+/**
+ * Add a charge to a credit card after the month's payments, so interest on it
+ * starts next cycle
+ * @param {Object} debt - Working card (balance is updated)
+ * @param {Object} paymentInfo - The card's payment details this month (updated)
+ * @param {number} amount - Charge in cents
+ * @param {Object} totals - Running totals (updated)
+ */
+const chargeToCard = (debt, paymentInfo, amount, totals) => {
+  debt.balance += amount;
+  paymentInfo.newCharges += amount;
+  paymentInfo.balance = debt.balance;
+  totals.totalNewCharges += amount;
+};
+
+/**
+ * Send money beyond the minimums to the emergency fund while it is below its
+ * target. Once the target has been reached, a fund drawn down by an emergency
+ * is only topped up again with the refill setting.
+ * @param {Object} savings - Emergency fund state in cents (balance and funded are updated)
+ * @param {number} amount - Money available beyond the minimums, in cents
+ * @returns {number} - Cents deposited
+ */
+const depositToSavings = (savings, amount) => {
+  if (!savings.settings || amount <= 0 || savings.balance >= savings.target) return 0;
+  if (savings.funded && !savings.settings.refill) return 0;
+
+  const deposit = Math.min(amount, savings.target - savings.balance);
+  savings.balance += deposit;
+  if (savings.balance >= savings.target) savings.funded = true;
+  return deposit;
+};
+
+/**
+ * Charge this month's surprise expenses to their credit cards. They land after
+ * the month's payments, so interest on them starts next cycle.
+ * @param {Array} workingDebts - Debts being simulated (balances are updated)
+ * @param {Array} monthPaymentBreakdown - This month's per-debt payment details
+ * @param {Array} surpriseCharges - [{ month, amount, debtId }] in dollars
+ * @param {number} month - Month number (1-based)
+ * @param {Object} totals - Running totals (updated)
+ * @returns {number} - Cents charged
+ */
+const applySurpriseCharges = (workingDebts, monthPaymentBreakdown, surpriseCharges, month, totals) => {
+  let charged = 0;
+  surpriseCharges
+    .filter(charge => Number(charge.month) === month && charge.amount > 0)
+    .forEach(charge => {
+      const index = workingDebts.findIndex(debt => debt.id === charge.debtId && debt.isCreditCard);
+      if (index === -1) return;
+
+      const amount = toCents(charge.amount);
+      chargeToCard(workingDebts[index], monthPaymentBreakdown[index], amount, totals);
+      charged += amount;
+    });
+  return charged;
+};
+
+/**
+ * Find the debt that should receive money beyond the minimums
+ * @param {Array} workingDebts - Debts being simulated
+ * @param {string} method - 'minimum', 'avalanche', 'afterTaxAvalanche', 'snowball', or 'custom'
+ * @param {Object} ranking - { excludedDebtIds, marginalTaxRate } where excluded
+ *   debts only ever get their minimum and the tax rate (percent) is used by
+ *   the after-tax avalanche
+ * @returns {number} - Index of the priority debt, or -1 if every debt that can
+ *   take extra money is paid off
+ */
+const getPriorityDebtIndex = (workingDebts, method, ranking = {}) => {
+  const { excludedDebtIds = [], marginalTaxRate = 0 } = ranking;
+  const debtsWithBalance = workingDebts
+    .map((debt, index) => ({ ...debt, index }))
+    .filter(debt => debt.balance > 0 && !excludedDebtIds.includes(debt.id));
+
+  if (debtsWithBalance.length === 0) return -1;
+
+  if (method === 'custom') {
+    // User-defined order
+    debtsWithBalance.sort((a, b) => a.priorityRank - b.priorityRank);
+  } else if (method === 'snowball') {
+    // Lowest balance first (tie-breaker: highest APR)
+    debtsWithBalance.sort((a, b) => {
+      if (a.balance === b.balance) {
+        return b.apr - a.apr; // tie-breaker
+      }
+      return a.balance - b.balance;
+    });
+  } else if (method === 'afterTaxAvalanche') {
+    // Highest rate after the tax saved on deductible interest first
+    debtsWithBalance.sort((a, b) => getAfterTaxApr(b, marginalTaxRate) - getAfterTaxApr(a, marginalTaxRate));
+  } else {
+    // Highest APR first (minimum payments have no priority of their own,
+    // so one-time payments follow the avalanche order)
+    debtsWithBalance.sort((a, b) => b.apr - a.apr);
+  }
+
+  return debtsWithBalance[0].index;
+};
+
+/**
+ * Apply money beyond the minimums to a month's payments
+ * @param {Array} workingDebts - Debts being simulated (balances are updated)
+ * @param {Array} monthPaymentBreakdown - This month's per-debt payment details
+ * @param {number} amount - Amount to apply, in cents
+ * @param {string} method - Strategy used to pick the priority debt
+ * @param {Object} totals - Running totals to update
+ * @param {Object} options - { targetDebtId, isLumpSum, ranking } (see getPriorityDebtIndex)
+ * @returns {number} - Cents left unapplied because every debt is paid off
+ *   (or only excluded debts are left)
+ */
+const applyExtraPayment = (workingDebts, monthPaymentBreakdown, amount, method, totals, options = {}) => {
+  const { targetDebtId = null, isLumpSum = false, ranking = {} } = options;
+  let availableBudget = amount;
+
+  while (availableBudget > 0) {
+    // A chosen debt gets the money first, anything left follows the strategy
+    let priorityIndex = workingDebts.findIndex(
+      debt => targetDebtId !== null && debt.id === targetDebtId && debt.balance > 0
+    );
+    if (priorityIndex === -1) {
+      priorityIndex = getPriorityDebtIndex(workingDebts, method, ranking);
+    }
+
+    if (priorityIndex === -1) break;
+
+    const priorityDebt = workingDebts[priorityIndex];
+    const paymentInfo = monthPaymentBreakdown[priorityIndex];
+
+    // Apply available budget to priority debt
+    const extraToApply = Math.min(availableBudget, priorityDebt.balance);
+
+    // Process extra payment (interest already handled in minimum payment)
+    priorityDebt.balance -= extraToApply;
+    priorityDebt.unpaidInterest = Math.max(0, priorityDebt.unpaidInterest - extraToApply);
+    paymentInfo.payment += extraToApply;
+    paymentInfo.extraPayment += extraToApply;
+    if (isLumpSum) {
+      paymentInfo.lumpSumPayment += extraToApply;
+    }
+    paymentInfo.balance = priorityDebt.balance;
+
+    availableBudget -= extraToApply;
+    totals.totalPaid += extraToApply;
+  }
+
+  return Math.max(0, availableBudget);
+};
+
+/**
+ * One-time payments scheduled for a given month
+ * @param {Array} oneTimePayments - [{ month, amount, debtId }]
+ * @param {number} month - Month number (1-based)
+ * @returns {Array} - [{ debtId, amount }] with amount in cents and debtId null
+ *   for "priority debt"
+ */
+const getOneTimePaymentsForMonth = (oneTimePayments, month) => {
+  return oneTimePayments
+    .filter(payment => Number(payment.month) === month && payment.amount > 0)
+    .map(payment => ({
+      debtId: payment.debtId ?? null,
+      amount: toCents(payment.amount)
+    }));
+};
+
+/**
+ * Monthly payments' worth made in a billing cycle. Biweekly and semi-monthly
+ * plans pay half the monthly amount each time, so a cycle with three biweekly
+ * payments pays one and a half months' worth
+ * @param {Array} paymentDays - Days into the cycle on which payments are made
+ * @param {string} frequency - 'monthly', 'semimonthly' or 'biweekly'
+ * @returns {number} - Multiple of the monthly payment
+ */
+const getPaymentShare = (paymentDays, frequency) => {
+  return frequency === 'monthly' ? paymentDays.length : paymentDays.length * 0.5;
+};
+
+/**
+ * Credit the interest saved by paying before the end of the cycle. Interest
+ * is first charged as if everything were paid on the last day; money paid
+ * earlier lowers the average daily balance, so each regular payment earns
+ * back the interest on it for the days it was in hand early. One-time
+ * payments count as paid at the end of the cycle.
+ * @param {Array} workingDebts - Debts being simulated (balances are updated)
+ * @param {Array} monthPaymentBreakdown - This month's per-debt payment details
+ * @param {Array} paymentDays - Days into the cycle on which payments are made
+ * @param {number} daysInCycle - Days in this billing cycle
+ * @param {Object} totals - Running totals to update
+ */
+const applyEarlyPaymentCredit = (workingDebts, monthPaymentBreakdown, paymentDays, daysInCycle, totals) => {
+  // Average share of the cycle left after each payment date
+  const earlyFraction = paymentDays.reduce((sum, day) => sum + (daysInCycle - day) / daysInCycle, 0) / paymentDays.length;
+  if (earlyFraction <= 0) return;
+
+  workingDebts.forEach((debt, index) => {
+    const paymentInfo = monthPaymentBreakdown[index];
+    const regularPayment = paymentInfo.payment - paymentInfo.lumpSumPayment;
+    if (regularPayment <= 0) return;
+
+    const credit = Math.min(
+      calculateCycleInterest(debt, daysInCycle, regularPayment * earlyFraction),
+      paymentInfo.interestCharged
+    );
+
+    // Once the debt is cleared the credit means less was needed to pay it off
+    const fromBalance = Math.min(credit, debt.balance);
+    debt.balance -= fromBalance;
+    debt.unpaidInterest = Math.max(0, debt.unpaidInterest - credit);
+    paymentInfo.payment -= credit - fromBalance;
+    paymentInfo.extraPayment = Math.max(0, paymentInfo.extraPayment - (credit - fromBalance));
+    paymentInfo.interestCharged -= credit;
+    paymentInfo.balance = debt.balance;
+    totals.totalPaid -= credit - fromBalance;
+    totals.totalInterest -= credit;
+  });
+};
+
+/**
+ * Drop PMI once a mortgage's balance reaches 78% of the original home value,
+ * and recast mortgages once enough principal has been prepaid
+ * @param {Array} workingDebts - Debts being simulated (pmiActive and minPayment are updated)
+ * @param {Array} monthPaymentBreakdown - This month's per-debt payment details
+ * @returns {Object} - { pmiRemovals, recasts } where pmiRemovals lists debt ids
+ *   and recasts lists [{ debtId, fromPayment, toPayment }] in cents
+ */
+const updateMortgageStatus = (workingDebts, monthPaymentBreakdown) => {
+  const pmiRemovals = [];
+  const recasts = [];
+
+  workingDebts.forEach((debt, index) => {
+    if (!debt.mortgage || debt.balance <= 0) return;
+
+    if (debt.pmiActive && debt.balance <= debt.pmiRemovalBalance) {
+      debt.pmiActive = false;
+      pmiRemovals.push(debt.id);
+    }
+
+    const recastThreshold = toCents(debt.mortgage.recastThreshold);
+    debt.prepaidSinceRecast += monthPaymentBreakdown[index].extraPayment;
+    if (recastThreshold > 0 && debt.prepaidSinceRecast >= recastThreshold && debt.scheduledPaymentsLeft > 1) {
+      // Same payoff date, lower payment
+      const newPayment = toCents(calculateAmortizedPayment(fromCents(debt.balance), toAprPercent(debt.apr), debt.scheduledPaymentsLeft));
+      if (newPayment < debt.minPayment) {
+        recasts.push({ debtId: debt.id, fromPayment: debt.minPayment, toPayment: newPayment });
+        debt.minPayment = newPayment;
+      }
+      debt.prepaidSinceRecast = 0;
+    }
+  });
+
+  return { pmiRemovals, recasts };
+};
+
+// Money fields of a month's per-debt payment details
+const PAYMENT_AMOUNT_FIELDS = [
+  'payment',
+  'minimumPayment',
+  'extraPayment',
+  'lumpSumPayment',
+  'balance',
+  'interestCharged',
+  'feeCharged',
+  'newCharges',
+  'chargesPaidInFull',
+  'escrowPaid',
+  'deferredInterestCharged',
+  'capitalizedInterest',
+  'forgiven',
+  'principalPaid'
+];
+
+/**
+ * Payment details with the money fields converted from cents to dollars
+ * @param {Object} paymentInfo - Per-debt payment details in cents
+ * @returns {Object} - The same details in dollars
+ */
+const toDollarPayment = (paymentInfo) => {
+  const converted = { ...paymentInfo };
+  PAYMENT_AMOUNT_FIELDS.forEach(field => {
+    if (field in converted) converted[field] = fromCents(converted[field]);
+  });
+  return converted;
+};
+
+// Money fields of events
+const EVENT_AMOUNT_FIELDS = ['amount', 'fromPayment', 'toPayment', 'shortfall', 'fromBudget', 'charged'];
+
+/**
+ * Event with its money fields converted from cents to dollars
+ * @param {Object} event - Event with amounts in cents
+ * @returns {Object} - The same event in dollars
+ */
+const toDollarEvent = (event) => {
+  const converted = { ...event };
+  EVENT_AMOUNT_FIELDS.forEach(field => {
+    if (field in converted) converted[field] = fromCents(converted[field]);
+  });
+  return converted;
+};
+
+/**
+ * Per-debt summary of a plan, built up month by month
+ * @param {Array} workingDebts - Debts being simulated
+ * @returns {Array} - [{ debtId, debtName, payoffMonth, payoffDate, targetedFromMonth,
+ *   interestPaid, feesPaid, totalPaid, forgiven }] with amounts in cents
+ */
+const createDebtSummaries = (workingDebts) => {
+  return workingDebts.map(debt => ({
+    debtId: debt.id,
+    debtName: debt.name,
+    payoffMonth: null,
+    payoffDate: null,
+    targetedFromMonth: null,
+    interestPaid: 0,
+    feesPaid: 0,
+    totalPaid: 0,
+    forgiven: 0
+  }));
+};
+
+/**
+ * Debts that got money beyond their minimum from this month's budget, in the
+ * order it reached them. The month's target is paid first, and the leftover
+ * only moves on past debts it pays off, so the one still owing comes last.
+ * One-time payments don't count.
+ * @param {Array} monthPaymentBreakdown - This month's per-debt payment details
+ * @param {string|number|null} targetDebtId - Debt targeted at the start of the month
+ * @returns {Array} - Debt ids
+ */
+const getExtraPaymentRecipients = (monthPaymentBreakdown, targetDebtId) => {
+  const getOrder = (paymentInfo) => {
+    if (paymentInfo.debtId === targetDebtId) return 0;
+    return paymentInfo.balance === 0 ? 1 : 2;
+  };
+  return monthPaymentBreakdown
+    .filter(paymentInfo => paymentInfo.extraPayment - paymentInfo.lumpSumPayment > 0)
+    .sort((a, b) => getOrder(a) - getOrder(b))
+    .map(paymentInfo => paymentInfo.debtId);
+};
+
+/**
+ * Record a month's facts: debts paid off or forgiven, the extra payment moving
+ * to a new target, freed-up payments rolling over, rate changes, capitalized
+ * student loan interest, PMI removals and recasts on mortgages, and emergency
+ * fund withdrawals and refills
+ * @param {Object} month - { month, date, breakdown, previousBalances, targetDebtId,
+ *   previousTargetDebtId, extraRecipients, rollovers, rateChanges, pmiRemovals, recasts,
+ *   emergency, savingsFilled } where extraRecipients comes from getExtraPaymentRecipients,
+ *   rollovers lists payments freed up by last month's payoffs as [{ fromDebtId, amount }],
+ *   emergency is { withdrawn, shortfall, fromBudget, charged, debtId } and savingsFilled
+ *   is true when the emergency fund reached its target this month
+ * @param {Array} workingDebts - Debts being simulated
+ * @param {Array} debtSummaries - Per-debt summaries to update
+ * @returns {Array} - Events for the month, amounts in cents
+ */
+const recordMonthEvents = (month, workingDebts, debtSummaries) => {
+  const events = [];
+
+  month.rateChanges.forEach(change => {
+    events.push({ month: month.month, type: 'rate-changed', ...change });
+  });
+  month.pmiRemovals.forEach(debtId => {
+    events.push({ month: month.month, type: 'pmi-removed', debtId });
+  });
+  month.recasts.forEach(recast => {
+    events.push({ month: month.month, type: 'recast', ...recast });
+  });
+  if (month.emergency.withdrawn + month.emergency.shortfall > 0) {
+    const { withdrawn, shortfall, fromBudget, charged, debtId } = month.emergency;
+    events.push({ month: month.month, type: 'emergency-withdrawal', amount: withdrawn, shortfall, fromBudget, charged, debtId });
+  }
+  if (month.savingsFilled) {
+    events.push({ month: month.month, type: 'emergency-fund-full' });
+  }
+
+  if (month.targetDebtId !== null) {
+    month.rollovers.forEach(rollover => {
+      events.push({ month: month.month, type: 'rollover', ...rollover, toDebtId: month.targetDebtId });
+    });
+  }
+
+  // The extra payment moves on in the month it first lands on a new debt,
+  // including leftovers from a debt paid off partway through the month
+  let currentTargetId = month.previousTargetDebtId;
+  month.extraRecipients.forEach(debtId => {
+    if (debtId === currentTargetId) return;
+    events.push({ month: month.month, type: 'target-changed', debtId, previousDebtId: currentTargetId });
+    currentTargetId = debtId;
+  });
+
+  workingDebts.forEach((debt, index) => {
+    const paymentInfo = month.breakdown[index];
+    const summary = debtSummaries[index];
+    summary.interestPaid += paymentInfo.interestCharged;
+    summary.feesPaid += paymentInfo.feeCharged;
+    summary.totalPaid += paymentInfo.payment;
+    if (month.extraRecipients.includes(debt.id) && summary.targetedFromMonth === null) {
+      summary.targetedFromMonth = month.month;
+    }
+    if (paymentInfo.capitalizedInterest > 0) {
+      events.push({ month: month.month, type: 'interest-capitalized', debtId: debt.id, amount: paymentInfo.capitalizedInterest });
+    }
+    if (month.previousBalances[index] > 0 && debt.balance === 0) {
+      summary.payoffMonth = month.month;
+      summary.payoffDate = month.date;
+      if (paymentInfo.forgiven > 0) {
+        summary.forgiven = paymentInfo.forgiven;
+        events.push({ month: month.month, type: 'forgiven', debtId: debt.id, amount: paymentInfo.forgiven });
+      } else {
+        events.push({ month: month.month, type: 'paid-off', debtId: debt.id });
+      }
+    }
+  });
+
+  return events;
+};
+
+// Longest plan simulated (100 years)
+const MAX_MONTHS = 1200;
+
+// Months in which no balance goes down, after the last scheduled change,
+// before a plan is declared one that will never pay off
+const STALL_MONTHS = 24;
+
+/**
+ * Last month in which a scheduled event could change a plan's trajectory
+ * @param {Array} workingDebts - Debts being simulated
+ * @param {Array} oneTimePayments - Scheduled lump sums and surprise charges ([{ month }])
+ * @param {Array} extraPaymentSchedule - Scheduled extra payment changes
+ * @param {Array} minimumOnlyMonths - Months when only the minimums are paid
+ * @returns {number} - Month number (0 if nothing is scheduled)
+ */
+const getLastScheduledEventMonth = (workingDebts, oneTimePayments, extraPaymentSchedule, minimumOnlyMonths = []) => {
+  // Recurring raises keep growing the budget, so such a plan never stalls for good
+  if (hasRecurringRaise(extraPaymentSchedule)) return MAX_MONTHS;
+
+  let lastMonth = getLastScheduleChangeMonth(extraPaymentSchedule);
+  oneTimePayments.forEach(payment => {
+    lastMonth = Math.max(lastMonth, Number(payment.month) || 0);
+  });
+  minimumOnlyMonths.forEach(month => {
+    lastMonth = Math.max(lastMonth, month + 1);
+  });
+  workingDebts.forEach(debt => {
+    if (debt.promoMonths > 0) lastMonth = Math.max(lastMonth, debt.promoMonths + 1);
+    debt.rateSchedule.forEach(change => {
+      lastMonth = Math.max(lastMonth, change.month);
+    });
+    if (debt.studentLoan) {
+      const pause = getPauseWindow(debt.studentLoan);
+      if (pause) lastMonth = Math.max(lastMonth, pause.endMonth + 1);
+      if (debt.forgivenessMonth) lastMonth = Math.max(lastMonth, debt.forgivenessMonth);
+    }
+  });
+  return lastMonth;
+};
+
+/**
+ * Explain why debts are left unpaid at the end of a simulation
+ * @param {Array} workingDebts - Debts being simulated
+ * @param {Array} lastBreakdown - Final month's per-debt payment details, in cents
+ * @returns {Array} - [{ debtId, debtName, reason, payment, interest, newCharges, balance }]
+ *   where reason is 'payment-below-interest', 'charges-exceed-payment' or 'exceeds-max-months'
+ */
+const getInfeasibleReasons = (workingDebts, lastBreakdown) => {
+  const getReason = (paymentInfo) => {
+    if (paymentInfo.negativeAmortization) return 'payment-below-interest';
+    if (paymentInfo.payment < paymentInfo.interestCharged + paymentInfo.feeCharged + paymentInfo.newCharges) {
+      return 'charges-exceed-payment';
+    }
+    return 'exceeds-max-months';
   };
+
+  return workingDebts
+    .map((debt, index) => ({ debt, paymentInfo: lastBreakdown[index] }))
+    .filter(({ debt }) => debt.balance > 0)
+    .map(({ debt, paymentInfo }) => ({
+      debtId: debt.id,
+      debtName: debt.name,
+      reason: getReason(paymentInfo),
+      payment: fromCents(paymentInfo.payment),
+      interest: fromCents(paymentInfo.interestCharged + paymentInfo.feeCharged),
+      newCharges: fromCents(paymentInfo.newCharges),
+      balance: fromCents(debt.balance)
+    }));
 };
 
 /**
  * Unified calculation engine for all repayment methods
  * @param {Array} debts - Array of debt objects
  * @param {number} extraPaymentAmount - Additional monthly payment (0 for minimum only)
- * @param {string} method - 'minimum', 'avalanche', or 'snowball'
+ * @param {string} method - 'minimum', 'avalanche', 'afterTaxAvalanche', 'snowball', or 'custom'
+ * @param {Object} options - Optional inputs
+ * @param {Array} options.oneTimePayments - Lump sums: [{ month, amount, debtId }]
+ *   where a null debtId sends the money to the strategy's priority debt
+ * @param {Array} options.customOrder - Debt ids in payoff order for the 'custom'
+ *   method (defaults to the order of the debts array)
+ * @param {string} options.startDate - 'YYYY-MM-DD' the first billing cycle begins (defaults to today)
+ * @param {number} options.monthlyBudget - Monthly budget for non-minimum methods before
+ *   any scheduled extra payment changes (defaults to month 1 minimums plus the
+ *   extra payment), used to compare alternative debt lists at the same monthly outlay
+ * @param {Array} options.extraPaymentSchedule - Changes to the extra payment over
+ *   time (see extraPaymentSchedule.js); the monthly budget follows them
+ * @param {string} options.paymentFrequency - 'monthly' (default), 'semimonthly'
+ *   (half the monthly amount mid-cycle and at the close of the cycle) or
+ *   'biweekly' (half the monthly amount every 14 days, 26 payments a year)
+ * @param {Array} options.excludedDebtIds - Debts that never receive money beyond
+ *   their minimum (e.g. a mortgage); their payments still count toward the budget
+ * @param {number} options.marginalTaxRate - Marginal income tax rate as a percent
+ *   (defaults to 0), used for the tax benefit and the 'afterTaxAvalanche' method
+ * @param {number} options.discountRate - Annual inflation or discount rate as a
+ *   percent (defaults to 0) for the present-value totals and real balances
+ * @param {Object} options.emergencyFund - Emergency fund to build before paying
+ *   extra on debt (see emergencyFund.js), or null for none
+ *
+ * Debts may carry promotional terms: promoApr (percent) applies for the first
+ * promoMonths months, then the regular apr takes over. With deferredInterest,
+ * interest at the regular rate is charged retroactively if any balance remains
+ * when the promo ends. Variable-rate debts may carry a rateSchedule of
+ * [{ month, apr }] entries, each setting the regular APR from that month on.
+ * Each debt's interestMethod is 'monthly' (APR / 12) or 'daily' (APR / 365
+ * times the real days in each billing cycle, counted from options.startDate).
+ * Credit cards recalculate their minimum each month from their minimumRule
+ * (see minimumPayments.js) and may be billed a recurring monthlyFee. Other
+ * debts with loanTerms are fixed-term installment loans whose payment is
+ * derived from the terms (see amortization.js); extra payments shorten the term.
+ * Cards may also carry monthlySpending, new charges made each cycle. These
+ * revolve with the balance until the card is paid off, unless payInFull is
+ * set, in which case they are paid separately each month and never add to
+ * the debt. Once a card is cleared its new spending is assumed paid in full.
+ * Federal student loans carry studentLoan settings (see studentLoans.js): an
+ * income-driven plan sets the payment from income and family size, nothing is
+ * due during deferment or forbearance while interest builds up uncompounded
+ * and is capitalized when the pause ends, and whatever is left at the
+ * forgiveness date is forgiven rather than paid.
+ * Mortgages carry mortgage settings (see mortgages.js): their minPayment is
+ * principal and interest, escrow is collected alongside without touching the
+ * loan, PMI is billed like a fee until the balance reaches 78% of the original
+ * home value, and a mortgage with loanTerms is recast (the payment
+ * re-amortized over the rest of the term) each time the principal prepaid
+ * since the last recast reaches its recastThreshold.
+ * Non-card debts may set interestDeduction (see taxes.js) to make their
+ * interest tax deductible. The after-tax avalanche ranks debts by their APR
+ * after that deduction, and taxBenefit totals the tax saved at
+ * options.marginalTaxRate on the interest actually paid, with student loan
+ * interest capped each calendar year.
+ *
+ * The simulation steps through billing cycles. With more frequent payments,
+ * the cycle's payments are added up, and the interest they save by lowering
+ * the average daily balance is credited back at the end of the cycle.
+ *
+ * A payment smaller than the month's interest adds the unpaid interest to the
+ * balance. Plans that never pay off come back with feasible: false and
+ * infeasibleReasons describing each debt left unpaid.
+ *
+ * Results include events, in month order:
+ * { month, type: 'paid-off', debtId }
+ * { month, type: 'target-changed', debtId, previousDebtId } - money beyond the minimums moves to a new debt
+ * { month, type: 'rollover', fromDebtId, toDebtId, amount } - a paid-off debt's minimum joins the extra
+ * { month, type: 'rate-changed', debtId, fromApr, toApr }
+ * { month, type: 'interest-capitalized', debtId, amount } - a student loan's deferment or forbearance ended
+ * { month, type: 'forgiven', debtId, amount } - a student loan's remaining balance was forgiven
+ * { month, type: 'pmi-removed', debtId } - a mortgage's PMI stops from next month
+ * { month, type: 'recast', debtId, fromPayment, toPayment } - a mortgage's payment was re-amortized
+ * { month, type: 'emergency-withdrawal', amount, shortfall, fromBudget, charged, debtId } - the simulated
+ *   emergency was paid from savings, with the shortfall savings couldn't cover charged to card debtId
+ *   or (with no card) paid fromBudget
+ * { month, type: 'emergency-fund-full' } - the emergency fund reached its target
+ * and debtSummaries, one per debt:
+ * { debtId, debtName, payoffMonth, payoffDate, targetedFromMonth, interestPaid, feesPaid, totalPaid, forgiven }
+ * where payoffMonth is null for a debt never paid off (or forgiven) and
+ * targetedFromMonth is the first month it received money beyond its minimum
+ * from the monthly budget (null if never; one-time payments don't count). totalForgiven and totalEscrow are not part of totalPaid;
+ * totalPmi is part of totalFees. taxBenefit is not subtracted from any total,
+ * and each monthlyPayments entry carries that month's share of it.
+ *
+ * Each monthlyPayments entry carries the 'YYYY-MM-DD' date its billing cycle
+ * begins, counted from options.startDate, and debtFreeDate is the date of the
+ * final month (null for plans that never pay off).
+ *
+ * presentValueTotalPaid and presentValueTotalInterest discount each month's
+ * payments and interest to today's dollars at options.discountRate (see
+ * inflation.js). Each monthlyPayments entry also carries realRemainingDebt and
+ * each debt payment a realBalance in today's dollars. At a 0% rate they equal
+ * the nominal amounts.
+ *
+ * With options.emergencyFund, money beyond the minimums goes to savings until
+ * the fund reaches its target, and only then to the priority debt (one-time
+ * payments still go to debt). Minimum-only plans never add to savings. An
+ * emergency bigger than the savings puts the rest on the credit card with the
+ * highest APR (as a new charge); with no credit card it is paid from the money
+ * beyond the minimums instead, carrying over to later months until it is
+ * covered. Each monthlyPayments entry carries savingsBalance, savingsDeposit,
+ * emergencyWithdrawal, emergencyFromBudget, emergencyCharged and
+ * emergencyCardId; savingsBalance, totalSavingsDeposits and unpaidEmergency
+ * (still owed when the plan ends) are also returned for the plan. Savings
+ * deposits and emergencies paid from the budget are not part of totalPaid.
  * @returns {Object} - Complete calculation results
  */
-const calculateRepaymentPlan = (debts, extraPaymentAmount = 0, method = 'minimum') => {
+const calculateRepaymentPlan = (debts, extraPaymentAmount = 0, method = 'minimum', options = {}) => {
   if (!debts || debts.length === 0) return null;
   
+  const { oneTimePayments = [], customOrder = null, paymentFrequency = 'monthly', excludedDebtIds = [] } = options;
+  const marginalTaxRate = Number(options.marginalTaxRate) || 0;
+  const ranking = { excludedDebtIds, marginalTaxRate };
+  const discountRate = Number(options.discountRate) || 0;
+  const emergencyFund = options.emergencyFund || null;
+  // Simulated life events: months when only the minimums get paid (such as a
+  // job loss) and surprise expenses charged to a card
+  const minimumOnlyMonths = (options.minimumOnlyMonths || []).map(Number);
+  const surpriseCharges = options.surpriseCharges || [];
+  const extraPaymentSchedule = method === 'minimum' ? [] : options.extraPaymentSchedule || [];
+  const startDate = parseStartDate(options.startDate);
+  
   // Create deep copy to avoid mutating original data
   let workingDebts = JSON.parse(JSON.stringify(debts));
   
   // Convert APR percentages to decimals
-  workingDebts.forEach(debt => {
-    debt.apr = debt.apr / 100;
+  workingDebts.forEach((debt, index) => {
+    // Income-driven student loans pay a share of income, installment loans
+    // derive their fixed payment from the loan terms
+    if (debt.studentLoan && debt.studentLoan.repaymentPlan === 'idr') {
+      debt.minPayment = calculateIdrPayment(debt.studentLoan);
+    } else if (!debt.isCreditCard && debt.loanTerms) {
+      debt.minPayment = deriveLoanPayment(debt.balance, debt.apr, debt.loanTerms);
+      debt.scheduledPaymentsLeft = getRemainingTerm(debt.loanTerms);
+    }
+    debt.studentLoan = debt.isCreditCard ? null : debt.studentLoan || null;
+    debt.pauseType = null;
+    debt.unpaidInterest = 0;
+    debt.forgivenessMonth = debt.studentLoan ? getForgivenessMonth(debt.studentLoan) : null;
+    debt.interestDeduction = debt.isCreditCard ? 'none' : debt.interestDeduction || 'none';
+    
+    // Amounts in cents from here on
+    debt.balance = toCents(debt.balance);
+    debt.minPayment = toCents(debt.minPayment);
+    
+    debt.baseApr = debt.apr / 100;
+    debt.promoApr = (debt.promoApr || 0) / 100;
+    debt.promoMonths = debt.promoMonths || 0;
+    debt.rateSchedule = (debt.rateSchedule || [])
+      .map(change => ({ month: Number(change.month), apr: change.apr / 100 }))
+      .sort((a, b) => a.month - b.month);
+    debt.deferredInterestAccrued = 0;
+    debt.monthlyFee = toCents(debt.monthlyFee);
+    debt.mortgage = debt.isCreditCard ? null : debt.mortgage || null;
+    debt.monthlyEscrow = debt.mortgage ? toCents(debt.mortgage.monthlyEscrow) : 0;
+    debt.pmiPayment = debt.mortgage
+      ? toCents(getPmiPayment(debt.mortgage, debt.loanTerms?.originalPrincipal || fromCents(debt.balance)))
+      : 0;
+    debt.pmiRemovalBalance = debt.mortgage ? toCents(getPmiRemovalBalance(debt.mortgage)) : 0;
+    debt.pmiActive = debt.pmiPayment > 0 && debt.balance > debt.pmiRemovalBalance;
+    debt.prepaidSinceRecast = 0;
+    debt.monthlySpending = debt.isCreditCard ? toCents(debt.monthlySpending) : 0;
+    debt.payInFull = Boolean(debt.payInFull);
+    debt.apr = getAprForMonth(debt, 1);
+    
+    // Rank for the custom method; debts missing from the order go last
+    const rank = customOrder ? customOrder.indexOf(debt.id) : index;
+    debt.priorityRank = rank === -1 ? workingDebts.length + index : rank;
   });
   
   // Calculate initial total monthly payment for avalanche/snowball
@@ -106,166 +1024,375 @@ const calculateRepaymentPlan = (debts, extraPaymentAmount = 0, method = 'minimum
   if (method === 'minimum') {
     totalMonthlyPayment = null; // Varies each month based on CC balances
   } else {
-    // Fixed budget: sum of Month 1 minimums + extra payment
-    const initialMinimums = workingDebts.reduce((sum, debt) => {
-      if (debt.isCreditCard) {
-        return sum + calculateCreditCardMinimum(debt.balance, debt.apr);
-      } else {
-        return sum + debt.minPayment;
-      }
-    }, 0);
-    totalMonthlyPayment = initialMinimums + extraPaymentAmount;
+    // Base budget: sum of Month 1 minimums + extra payment, adjusted each
+    // month by the extra payment schedule
+    const firstCycleDays = getDaysInCycle(startDate, 1);
+    const initialMinimums = workingDebts.reduce(
+      (sum, debt) => sum + getMinimumPayment(debt, firstCycleDays),
+      0
+    );
+    totalMonthlyPayment = options.monthlyBudget !== undefined
+      ? toCents(options.monthlyBudget)
+      : initialMinimums + toCents(extraPaymentAmount);
   }
   
   let totals = {
     totalPaid: 0,
-    totalInterest: 0
+    totalInterest: 0,
+    totalFees: 0,
+    totalNewCharges: 0,
+    totalForgiven: 0,
+    totalPmi: 0,
+    totalEscrow: 0,
+    taxBenefit: 0
+  };
+  const studentLoanDeduction = { year: null, deducted: 0 };
+  const startingSavings = emergencyFund ? toCents(emergencyFund.startingBalance) : 0;
+  const savingsTarget = emergencyFund ? toCents(emergencyFund.target) : 0;
+  const savings = {
+    settings: emergencyFund,
+    balance: startingSavings,
+    target: savingsTarget,
+    funded: startingSavings >= savingsTarget
   };
+  let totalSavingsDeposits = 0;
+  // Emergency costs savings couldn't cover that are still to be paid (only
+  // carried over when there's no credit card to put them on)
+  let emergencyOwed = 0;
+  // Running present values in (fractional) cents, and the nominal totals
+  // they've caught up with
+  const presentValue = { totalPaid: 0, totalInterest: 0 };
+  let discountedTotals = { totalPaid: 0, totalInterest: 0 };
   let months = 0;
   let monthlyPayments = [];
   
-  // Continue until all debts are paid off (max 1200 months = 100 years)
-  while (workingDebts.some(debt => debt.balance > 0) && months < 1200) {
+  const lastScheduledEventMonth = getLastScheduledEventMonth(
+    workingDebts,
+    [...oneTimePayments, ...surpriseCharges],
+    extraPaymentSchedule,
+    minimumOnlyMonths
+  );
+  let previousBalances = workingDebts.map(debt => debt.balance);
+  let monthsWithoutProgress = 0;
+  let lastBreakdown = [];
+  const events = [];
+  const debtSummaries = createDebtSummaries(workingDebts);
+  let previousTargetDebtId = null;
+  let pendingRollovers = [];
+  
+  // Continue until all debts are paid off, the plan stops making progress,
+  // or MAX_MONTHS is reached
+  while (workingDebts.some(debt => debt.balance > 0) && months < MAX_MONTHS) {
     months++;
     let monthPaymentBreakdown = [];
+    const daysInCycle = getDaysInCycle(startDate, months);
+    const date = toDateString(addMonths(startDate, months - 1));
+    const paymentDays = getPaymentDaysInCycle(startDate, months, paymentFrequency);
+    const paymentShare = getPaymentShare(paymentDays, paymentFrequency);
+    
+    // Switch rates for promos ending or scheduled changes (avalanche re-ranks on the new APR)
+    const { rateChanges, deferredCharges } = updateDebtRates(workingDebts, months, totals, daysInCycle);
+    const capitalizedInterest = updateStudentLoanStatus(workingDebts, months);
+    const emergency = withdrawEmergency(savings, months);
+    const emergencyCardIndex = getEmergencyCardIndex(workingDebts);
+    emergencyOwed += emergency.shortfall;
+    let emergencyFromBudget = 0;
+    let savingsDeposit = 0;
+    const minimumsOnly = minimumOnlyMonths.includes(months);
+    
+    // This month's budget, following any scheduled extra payment changes
+    const monthlyBudget = method === 'minimum'
+      ? null
+      : totalMonthlyPayment - toCents(extraPaymentAmount) + toCents(getExtraPaymentForMonth(extraPaymentAmount, extraPaymentSchedule, months));
+    const cycleBudget = monthlyBudget === null ? null : Math.round(monthlyBudget * paymentShare);
+    let targetDebtId = null;
     
     if (method === 'minimum') {
       // MINIMUM PAYMENTS ONLY: Each debt gets its minimum payment
       for (let debt of workingDebts) {
         if (debt.balance <= 0) {
-          monthPaymentBreakdown.push({
-            debtId: debt.id,
-            payment: 0,
-            minimumPayment: 0,
-            extraPayment: 0,
-            balance: 0,
-            interestCharged: 0
-          });
+          monthPaymentBreakdown.push(createEmptyPayment(debt.id));
           continue;
         }
         
-        const minPayment = debt.isCreditCard 
-          ? calculateCreditCardMinimum(debt.balance, debt.apr)
-          : debt.minPayment;
+        const minPayment = Math.round(getMinimumPayment(debt, daysInCycle) * paymentShare);
         
-        const paymentInfo = processMonthlyDebtPayment(debt, minPayment, totals);
+        const paymentInfo = processMonthlyDebtPayment(debt, minPayment, totals, daysInCycle, paymentShare);
         monthPaymentBreakdown.push(paymentInfo);
       }
     } else {
-      // AVALANCHE OR SNOWBALL: Fixed budget distribution
-      let availableBudget = totalMonthlyPayment;
+      // AVALANCHE OR SNOWBALL: Budget distribution
+      let availableBudget = cycleBudget;
       
       // Step 1: Apply minimum payments to all debts
       for (let debt of workingDebts) {
         if (debt.balance <= 0) {
-          monthPaymentBreakdown.push({
-            debtId: debt.id,
-            payment: 0,
-            minimumPayment: 0,
-            extraPayment: 0,
-            balance: 0,
-            interestCharged: 0
-          });
+          monthPaymentBreakdown.push(createEmptyPayment(debt.id));
           continue;
         }
         
-        const minPayment = debt.isCreditCard 
-          ? calculateCreditCardMinimum(debt.balance, debt.apr)
-          : debt.minPayment;
+        const minPayment = Math.round(getMinimumPayment(debt, daysInCycle) * paymentShare);
         
-        const actualMinPayment = Math.min(minPayment, debt.balance);
-        const paymentInfo = processMonthlyDebtPayment(debt, actualMinPayment, totals);
+        const paymentInfo = processMonthlyDebtPayment(debt, minPayment, totals, daysInCycle, paymentShare);
         monthPaymentBreakdown.push(paymentInfo);
-        availableBudget -= actualMinPayment;
+        availableBudget -= paymentInfo.payment;
       }
       
-      // Step 2: Apply remaining budget to priority debt(s)
-      while (availableBudget > 0.01) {
-        // Get debts with remaining balance
-        const debtsWithBalance = workingDebts
-          .map((debt, index) => ({ ...debt, index }))
-          .filter(debt => debt.balance > 0);
-        
-        if (debtsWithBalance.length === 0) break;
-        
-        // Sort by priority based on method
-        let priorityDebt;
-        if (method === 'avalanche') {
-          // Highest APR first
-          debtsWithBalance.sort((a, b) => b.apr - a.apr);
-          priorityDebt = debtsWithBalance[0];
-        } else if (method === 'snowball') {
-          // Lowest balance first (tie-breaker: highest APR)
-          debtsWithBalance.sort((a, b) => {
-            if (Math.abs(a.balance - b.balance) < 0.01) {
-              return b.apr - a.apr; // tie-breaker
-            }
-            return a.balance - b.balance;
-          });
-          priorityDebt = debtsWithBalance[0];
-        }
-        
-        // Apply available budget to priority debt
-        const extraToApply = Math.min(availableBudget, priorityDebt.balance);
-        
-        // Process extra payment (interest already handled in minimum payment)
-        workingDebts[priorityDebt.index].balance -= extraToApply;
-        monthPaymentBreakdown[priorityDebt.index].payment += extraToApply;
-        monthPaymentBreakdown[priorityDebt.index].extraPayment += extraToApply;
-        monthPaymentBreakdown[priorityDebt.index].balance = workingDebts[priorityDebt.index].balance;
-        
-        availableBudget -= extraToApply;
-        totals.totalPaid += extraToApply;
-        
-        // Clean up paid off debts
-        if (workingDebts[priorityDebt.index].balance < 0.01) {
-          workingDebts[priorityDebt.index].balance = 0;
-          monthPaymentBreakdown[priorityDebt.index].balance = 0;
-        }
+      // Nothing beyond the minimums goes out in a minimums-only month
+      if (minimumsOnly) availableBudget = 0;
+      
+      // Step 1b: With no card to put it on, an emergency savings couldn't cover
+      // is paid from the money beyond the minimums, this month and after
+      if (emergencyCardIndex === -1) {
+        emergencyFromBudget = Math.min(emergencyOwed, Math.max(0, availableBudget));
+        availableBudget -= emergencyFromBudget;
+        emergencyOwed -= emergencyFromBudget;
       }
+      
+      // Step 2a: Build up the emergency fund before paying extra on debt
+      savingsDeposit = depositToSavings(savings, availableBudget);
+      availableBudget -= savingsDeposit;
+      totalSavingsDeposits += savingsDeposit;
+      
+      // Step 2: Apply remaining budget to priority debt(s)
+      const targetIndex = availableBudget > 0 ? getPriorityDebtIndex(workingDebts, method, ranking) : -1;
+      targetDebtId = targetIndex === -1 ? null : workingDebts[targetIndex].id;
+      applyExtraPayment(workingDebts, monthPaymentBreakdown, availableBudget, method, totals, { ranking });
+    }
+    
+    // Step 3: Apply any one-time payments landing this month
+    const lumpSums = getOneTimePaymentsForMonth(oneTimePayments, months);
+    let oneTimePaymentApplied = 0;
+    for (const lumpSum of lumpSums) {
+      const unapplied = applyExtraPayment(workingDebts, monthPaymentBreakdown, lumpSum.amount, method, totals, {
+        targetDebtId: lumpSum.debtId,
+        isLumpSum: true,
+        ranking
+      });
+      oneTimePaymentApplied += lumpSum.amount - unapplied;
     }
     
+    // Step 4: Credit back interest saved by paying during the cycle
+    applyEarlyPaymentCredit(workingDebts, monthPaymentBreakdown, paymentDays, daysInCycle, totals);
+    
+    // Step 5: Forgive student loans reaching their forgiveness date
+    applyForgiveness(workingDebts, monthPaymentBreakdown, months, totals);
+    
+    // Step 6: Charge surprise expenses to their cards
+    const surpriseCharged = applySurpriseCharges(workingDebts, monthPaymentBreakdown, surpriseCharges, months, totals);
+    
+    // Step 7: Put whatever savings couldn't cover of an emergency on a card
+    let emergencyCharged = 0;
+    if (emergencyCardIndex !== -1 && emergencyOwed > 0) {
+      emergencyCharged = emergencyOwed;
+      chargeToCard(workingDebts[emergencyCardIndex], monthPaymentBreakdown[emergencyCardIndex], emergencyCharged, totals);
+      emergencyOwed = 0;
+    }
+    
+    // Record back interest from expired deferred-interest promos
+    deferredCharges.forEach((charge, index) => {
+      monthPaymentBreakdown[index].deferredInterestCharged = charge;
+      monthPaymentBreakdown[index].interestCharged += charge;
+    });
+    
+    // Record student loan pauses and interest capitalized as one ends
+    workingDebts.forEach((debt, index) => {
+      if (debt.pauseType) monthPaymentBreakdown[index].pauseType = debt.pauseType;
+      if (capitalizedInterest[index] > 0) monthPaymentBreakdown[index].capitalizedInterest = capitalizedInterest[index];
+    });
+    
+    // Flag debts whose payment didn't cover this month's interest and fees
+    // (other than during a planned pause), and split what was paid into
+    // interest/fees and principal
+    monthPaymentBreakdown.forEach(paymentInfo => {
+      const regularCharges = paymentInfo.interestCharged - (paymentInfo.deferredInterestCharged || 0) + paymentInfo.feeCharged;
+      paymentInfo.negativeAmortization = paymentInfo.balance > 0 && !paymentInfo.pauseType && paymentInfo.payment < regularCharges;
+      paymentInfo.principalPaid = Math.max(0, paymentInfo.payment - paymentInfo.interestCharged - paymentInfo.feeCharged);
+    });
+    
+    // Count down installment loans' scheduled payments (paused months don't count)
+    workingDebts.forEach(debt => {
+      if (debt.scheduledPaymentsLeft > 0 && !debt.pauseType) debt.scheduledPaymentsLeft--;
+    });
+    
+    const { pmiRemovals, recasts } = updateMortgageStatus(workingDebts, monthPaymentBreakdown);
+    const taxBenefit = calculateTaxBenefit(workingDebts, monthPaymentBreakdown, marginalTaxRate, studentLoanDeduction, date);
+    totals.taxBenefit += taxBenefit;
+    
+    const remainingDebt = workingDebts.reduce((sum, debt) => sum + debt.balance, 0);
+    
+    // Today's value of this month's payments, interest and balances
+    const discountFactor = getDiscountFactor(months, discountRate);
+    presentValue.totalPaid += (totals.totalPaid - discountedTotals.totalPaid) * discountFactor;
+    presentValue.totalInterest += (totals.totalInterest - discountedTotals.totalInterest) * discountFactor;
+    discountedTotals = { totalPaid: totals.totalPaid, totalInterest: totals.totalInterest };
+    
     monthlyPayments.push({
       month: months,
-      debtPayments: monthPaymentBreakdown,
-      totalPaid: totals.totalPaid,
-      remainingDebt: workingDebts.reduce((sum, debt) => sum + debt.balance, 0)
+      date,
+      debtPayments: monthPaymentBreakdown.map(paymentInfo => ({
+        ...toDollarPayment(paymentInfo),
+        realBalance: fromCents(Math.round(paymentInfo.balance * discountFactor))
+      })),
+      totalPaid: fromCents(totals.totalPaid),
+      oneTimePayment: fromCents(oneTimePaymentApplied),
+      rateChanges,
+      daysInCycle,
+      paymentDays,
+      budget: monthlyBudget === null ? null : fromCents(monthlyBudget),
+      taxBenefit: fromCents(taxBenefit),
+      remainingDebt: fromCents(remainingDebt),
+      realRemainingDebt: fromCents(Math.round(remainingDebt * discountFactor)),
+      savingsBalance: fromCents(savings.balance),
+      savingsDeposit: fromCents(savingsDeposit),
+      emergencyWithdrawal: fromCents(emergency.withdrawn),
+      emergencyFromBudget: fromCents(emergencyFromBudget),
+      emergencyCharged: fromCents(emergencyCharged),
+      emergencyCardId: emergencyCharged > 0 ? workingDebts[emergencyCardIndex].id : null,
+      minimumsOnly,
+      surpriseCharge: fromCents(surpriseCharged)
     });
+    lastBreakdown = monthPaymentBreakdown;
+    
+    const extraRecipients = getExtraPaymentRecipients(monthPaymentBreakdown, targetDebtId);
+    events.push(...recordMonthEvents({
+      month: months,
+      date,
+      breakdown: monthPaymentBreakdown,
+      previousBalances,
+      targetDebtId,
+      previousTargetDebtId,
+      extraRecipients,
+      rollovers: pendingRollovers,
+      rateChanges,
+      pmiRemovals,
+      recasts,
+      emergency: {
+        ...emergency,
+        fromBudget: emergencyFromBudget,
+        charged: emergencyCharged,
+        debtId: emergencyCharged > 0 ? workingDebts[emergencyCardIndex].id : null
+      },
+      savingsFilled: savingsDeposit > 0 && savings.balance >= savings.target
+    }, workingDebts, debtSummaries));
+    if (extraRecipients.length > 0) previousTargetDebtId = extraRecipients[extraRecipients.length - 1];
+    
+    // Minimums freed up by this month's payoffs roll over next month
+    pendingRollovers = method === 'minimum' ? [] : workingDebts
+      .map((debt, index) => ({ debt, index }))
+      .filter(({ debt, index }) => previousBalances[index] > 0 && debt.balance === 0)
+      .map(({ debt, index }) => ({ fromDebtId: debt.id, amount: monthPaymentBreakdown[index].minimumPayment }));
+    
+    // Stop once no debt is shrinking any more and nothing scheduled can change that
+    const madeProgress = savingsDeposit > 0 || workingDebts.some((debt, index) => debt.balance < previousBalances[index]);
+    previousBalances = workingDebts.map(debt => debt.balance);
+    monthsWithoutProgress = madeProgress ? 0 : monthsWithoutProgress + 1;
+    if (monthsWithoutProgress >= STALL_MONTHS && months > lastScheduledEventMonth) {
+      break;
+    }
   }
   
+  const infeasibleReasons = workingDebts.some(debt => debt.balance > 0)
+    ? getInfeasibleReasons(workingDebts, lastBreakdown)
+    : [];
+  
   return {
-    totalPaid: totals.totalPaid,
-    totalInterest: totals.totalInterest,
+    totalPaid: fromCents(totals.totalPaid),
+    totalInterest: fromCents(totals.totalInterest),
+    totalFees: fromCents(totals.totalFees),
+    totalNewCharges: fromCents(totals.totalNewCharges),
+    totalForgiven: fromCents(totals.totalForgiven),
+    totalPmi: fromCents(totals.totalPmi),
+    totalEscrow: fromCents(totals.totalEscrow),
+    taxBenefit: fromCents(totals.taxBenefit),
+    discountRate,
+    presentValueTotalPaid: fromCents(Math.round(presentValue.totalPaid)),
+    presentValueTotalInterest: fromCents(Math.round(presentValue.totalInterest)),
+    savingsBalance: fromCents(savings.balance),
+    totalSavingsDeposits: fromCents(totalSavingsDeposits),
+    unpaidEmergency: fromCents(emergencyOwed),
     months,
-    monthlyPayments
+    debtFreeDate: infeasibleReasons.length === 0 && monthlyPayments.length > 0
+      ? monthlyPayments[monthlyPayments.length - 1].date
+      : null,
+    monthlyBudget: totalMonthlyPayment === null ? null : fromCents(totalMonthlyPayment),
+    paymentFrequency,
+    monthlyPayments,
+    events: events.map(toDollarEvent),
+    debtSummaries: debtSummaries.map(summary => ({
+      ...summary,
+      interestPaid: fromCents(summary.interestPaid),
+      feesPaid: fromCents(summary.feesPaid),
+      totalPaid: fromCents(summary.totalPaid),
+      forgiven: fromCents(summary.forgiven)
+    })),
+    feasible: infeasibleReasons.length === 0,
+    infeasibleReasons
   };
 };
 
 /**
  * Calculate minimum payment repayment strategy
  * @param {Array} debts - List of debt objects
+ * @param {Object} options - Optional inputs (oneTimePayments, startDate, paymentFrequency, marginalTaxRate, discountRate, emergencyFund, minimumOnlyMonths, surpriseCharges)
  * @returns {Object} - Results of calculation
  */
-export const calculateMinimum = (debts) => {
-  return calculateRepaymentPlan(debts, 0, 'minimum');
+export const calculateMinimum = (debts, options = {}) => {
+  return calculateRepaymentPlan(debts, 0, 'minimum', options);
 };
 
 /**
  * Calculate Avalanche repayment strategy (highest APR first)
  * @param {Array} debts - List of debt objects
  * @param {number} extraPayment - Extra amount to pay each month
+ * @param {Object} options - Optional inputs (oneTimePayments, startDate, extraPaymentSchedule, paymentFrequency, excludedDebtIds, marginalTaxRate, discountRate, emergencyFund, minimumOnlyMonths, surpriseCharges)
  * @returns {Object} - Results of calculation
  */
-export const calculateAvalanche = (debts, extraPayment = 0) => {
-  return calculateRepaymentPlan(debts, extraPayment, 'avalanche');
+export const calculateAvalanche = (debts, extraPayment = 0, options = {}) => {
+  return calculateRepaymentPlan(debts, extraPayment, 'avalanche', options);
+};
+
+/**
+ * Calculate after-tax Avalanche repayment strategy (highest rate after the
+ * interest deduction first)
+ * @param {Array} debts - List of debt objects
+ * @param {number} extraPayment - Extra amount to pay each month
+ * @param {Object} options - Optional inputs (oneTimePayments, startDate, extraPaymentSchedule, paymentFrequency, excludedDebtIds, marginalTaxRate, discountRate, emergencyFund, minimumOnlyMonths, surpriseCharges)
+ * @returns {Object} - Results of calculation
+ */
+export const calculateAfterTaxAvalanche = (debts, extraPayment = 0, options = {}) => {
+  return calculateRepaymentPlan(debts, extraPayment, 'afterTaxAvalanche', options);
 };
 
 /**
  * Calculate Snowball repayment strategy (lowest balance first)
  * @param {Array} debts - List of debt objects
  * @param {number} extraPayment - Extra amount to pay each month
+ * @param {Object} options - Optional inputs (oneTimePayments, startDate, extraPaymentSchedule, paymentFrequency, excludedDebtIds, marginalTaxRate, discountRate, emergencyFund, minimumOnlyMonths, surpriseCharges)
  * @returns {Object} - Results of calculation
  */
-export const calculateSnowball = (debts, extraPayment = 0) => {
-  return calculateRepaymentPlan(debts, extraPayment, 'snowball');
-}; 
\ No newline at end of file
+export const calculateSnowball = (debts, extraPayment = 0, options = {}) => {
+  return calculateRepaymentPlan(debts, extraPayment, 'snowball', options);
+}; 
+
+/**
+ * Calculate Custom Order repayment strategy (user-defined priority)
+ * @param {Array} debts - List of debt objects
+ * @param {number} extraPayment - Extra amount to pay each month
+ * @param {Object} options - Optional inputs (oneTimePayments, startDate, extraPaymentSchedule, customOrder, paymentFrequency, excludedDebtIds, marginalTaxRate, discountRate, emergencyFund, minimumOnlyMonths, surpriseCharges)
+ * @returns {Object} - Results of calculation
+ */
+export const calculateCustomOrder = (debts, extraPayment = 0, options = {}) => {
+  return calculateRepaymentPlan(debts, extraPayment, 'custom', options);
+};
+
+/**
+ * What a plan costs beyond the new card purchases it pays for. The purchases
+ * are made either way, and a plan that clears a card sooner pays them in full
+ * instead of carrying them, so plans are compared on this rather than totalPaid.
+ * @param {Object} plan - Results from one of the strategies above
+ * @returns {number} - totalPaid less totalNewCharges
+ */
+export const getRepaymentCost = (plan) => {
+  return plan.totalPaid - plan.totalNewCharges;
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Federal Student Loans
+ *
+ * Helpers for the repayment options federal student loans have and other
+ * loans don't: income-driven repayment (IDR), deferment or forbearance, and
+ * forgiveness after a number of years of qualifying payments. Used by the
+ * debt forms (for the payment preview) and the calculation engine.
+ *
+ * Student loan settings are stored on a debt as:
+ * studentLoan: { repaymentPlan, annualIncome, familySize, idrPercent,
+ *   pauseType, pauseStartMonth, pauseMonths, subsidized,
+ *   forgivenessYears, qualifyingPayments }
+ * where repaymentPlan is 'standard' (the regular loan payment) or 'idr', and
+ * pauseType is 'none', 'deferment' or 'forbearance'.
+ *
+ * Federal loans charge simple interest: interest that goes unpaid, such as
+ * during a deferment, doesn't earn interest itself until it is capitalized
+ * (added to the principal) when the deferment or forbearance ends.
+ */
+
+// HHS poverty guideline for the 48 contiguous states (2024)
+const POVERTY_GUIDELINE_BASE = 15060;
+const POVERTY_GUIDELINE_PER_PERSON = 5380;
+
+// Income up to this multiple of the poverty guideline is protected from IDR payments
+const PROTECTED_INCOME_MULTIPLE = 1.5;
+
+export const PAUSE_TYPE_LABELS = {
+  deferment: 'Deferment',
+  forbearance: 'Forbearance'
+};
+
+export const DEFAULT_STUDENT_LOAN = {
+  repaymentPlan: 'standard',
+  annualIncome: '',
+  familySize: 1,
+  idrPercent: 10,
+  pauseType: 'none',
+  pauseStartMonth: 1,
+  pauseMonths: '',
+  subsidized: false,
+  forgivenessYears: '',
+  qualifyingPayments: ''
+};
+
+/**
+ * Poverty guideline for a household
+ * @param {number} familySize - People in the household
+ * @returns {number} - Annual poverty guideline in dollars
+ */
+export const getPovertyGuideline = (familySize) => {
+  const size = Math.max(1, Math.floor(Number(familySize) || 1));
+  return POVERTY_GUIDELINE_BASE + (size - 1) * POVERTY_GUIDELINE_PER_PERSON;
+};
+
+/**
+ * Income left after the protected amount, which IDR payments are based on
+ * @param {number} annualIncome - Adjusted gross income
+ * @param {number} familySize - People in the household
+ * @returns {number} - Annual discretionary income (never negative)
+ */
+export const getDiscretionaryIncome = (annualIncome, familySize) => {
+  return Math.max(0, (Number(annualIncome) || 0) - PROTECTED_INCOME_MULTIPLE * getPovertyGuideline(familySize));
+};
+
+/**
+ * Monthly payment under an income-driven repayment plan
+ * @param {Object} studentLoan - { annualIncome, familySize, idrPercent }
+ * @returns {number} - Monthly payment in dollars (0 for low incomes)
+ */
+export const calculateIdrPayment = (studentLoan) => {
+  const discretionaryIncome = getDiscretionaryIncome(studentLoan.annualIncome, studentLoan.familySize);
+  return (discretionaryIncome * (Number(studentLoan.idrPercent) || 0)) / 100 / 12;
+};
+
+/**
+ * Months of deferment or forbearance
+ * @param {Object} studentLoan - Student loan settings
+ * @returns {Object|null} - { startMonth, endMonth }, or null if payments never pause
+ */
+export const getPauseWindow = (studentLoan) => {
+  const pauseMonths = Math.floor(Number(studentLoan.pauseMonths) || 0);
+  if (!PAUSE_TYPE_LABELS[studentLoan.pauseType] || pauseMonths <= 0) return null;
+
+  const startMonth = Math.max(1, Math.floor(Number(studentLoan.pauseStartMonth) || 1));
+  return { startMonth, endMonth: startMonth + pauseMonths - 1 };
+};
+
+/**
+ * Whether payments are paused in a given month
+ * @param {Object} studentLoan - Student loan settings
+ * @param {number} month - Month number (1-based)
+ * @returns {boolean} - True during deferment or forbearance
+ */
+export const isPauseMonth = (studentLoan, month) => {
+  const pause = getPauseWindow(studentLoan);
+  return pause !== null && month >= pause.startMonth && month <= pause.endMonth;
+};
+
+/**
+ * Month in which the remaining balance is forgiven. Paused months don't count
+ * as qualifying payments, so a deferment pushes forgiveness back.
+ * @param {Object} studentLoan - Student loan settings
+ * @returns {number|null} - Month number, or null without forgiveness
+ */
+export const getForgivenessMonth = (studentLoan) => {
+  const forgivenessYears = Number(studentLoan.forgivenessYears) || 0;
+  if (forgivenessYears <= 0) return null;
+
+  const paymentsLeft = Math.max(1, forgivenessYears * 12 - (Math.floor(Number(studentLoan.qualifyingPayments) || 0)));
+  const pause = getPauseWindow(studentLoan);
+  if (pause && pause.startMonth <= paymentsLeft) {
+    return paymentsLeft + (pause.endMonth - pause.startMonth + 1);
+  }
+  return paymentsLeft;
+};
+
+/**
+ * Turn student loan form values into stored settings
+ * @param {Object} values - Raw form values
+ * @returns {Object} - Student loan settings with numbers parsed
+ */
+export const normalizeStudentLoan = (values = {}) => {
+  const repaymentPlan = values.repaymentPlan === 'idr' ? 'idr' : 'standard';
+  const pauseType = PAUSE_TYPE_LABELS[values.pauseType] ? values.pauseType : 'none';
+
+  return {
+    repaymentPlan,
+    annualIncome: repaymentPlan === 'idr' ? parseFloat(values.annualIncome) || 0 : null,
+    familySize: repaymentPlan === 'idr' ? parseInt(values.familySize, 10) || 1 : null,
+    idrPercent: repaymentPlan === 'idr' ? parseFloat(values.idrPercent) || 0 : null,
+    pauseType,
+    pauseStartMonth: pauseType === 'none' ? null : parseInt(values.pauseStartMonth, 10) || 1,
+    pauseMonths: pauseType === 'none' ? 0 : parseInt(values.pauseMonths, 10) || 0,
+    subsidized: !!values.subsidized,
+    forgivenessYears: parseFloat(values.forgivenessYears) || 0,
+    qualifyingPayments: parseInt(values.qualifyingPayments, 10) || 0
+  };
+};
+
+/**
+ * Short description of a student loan's repayment options, for lists
+ * @param {Object} studentLoan - Student loan settings
+ * @returns {string} - e.g. "IDR 10% of discretionary income · forgiven after 20 years"
+ */
+export const describeStudentLoan = (studentLoan) => {
+  const parts = [studentLoan.repaymentPlan === 'idr'
+    ? `IDR ${studentLoan.idrPercent}% of discretionary income`
+    : 'Standard repayment'];
+
+  const pause = getPauseWindow(studentLoan);
+  if (pause) {
+    parts.push(`${PAUSE_TYPE_LABELS[studentLoan.pauseType].toLowerCase()} months ${pause.startMonth}–${pause.endMonth}`);
+  }
+  if (Number(studentLoan.forgivenessYears) > 0) {
+    parts.push(`forgiven after ${studentLoan.forgivenessYears} years`);
+  }
+  return parts.join(' · ');
+};
\ No newline at end of file
@@ -0,0 +1,45 @@
+/**
+ * Deductible Interest
+ *
+ * Some interest lowers the borrower's income tax: student loan interest up
+ * to a yearly cap, and mortgage interest for those who itemize. That makes a
+ * deductible debt cheaper than its APR suggests. Used by the debt forms, the
+ * after-tax avalanche ranking in the engine and the results views.
+ *
+ * Each debt stores interestDeduction as one of:
+ * 'none'        - not deductible (the default, and always for credit cards)
+ * 'studentLoan' - student loan interest, deductible up to the yearly cap
+ *                 across all student loans
+ * 'full'        - fully deductible, e.g. mortgage interest
+ */
+
+// Most student loan interest that can be deducted in one tax year
+export const STUDENT_LOAN_INTEREST_CAP = 2500;
+
+export const INTEREST_DEDUCTION_OPTIONS = {
+  none: 'Not deductible',
+  studentLoan: `Student loan interest (up to $${STUDENT_LOAN_INTEREST_CAP.toLocaleString('en-US')} a year)`,
+  full: 'Fully deductible (e.g., mortgage interest)'
+};
+
+/**
+ * Whether a debt's interest is deductible
+ * @param {Object} debt - Debt with interestDeduction and isCreditCard
+ * @returns {boolean} - True for deductible non-card debts
+ */
+export const isInterestDeductible = (debt) => {
+  return !debt.isCreditCard && (debt.interestDeduction === 'studentLoan' || debt.interestDeduction === 'full');
+};
+
+/**
+ * Interest rate after the tax saved by deducting the interest. Student loan
+ * interest is treated as fully deductible here; the yearly cap only applies
+ * when the tax benefit itself is added up.
+ * @param {Object} debt - Debt with apr, interestDeduction and isCreditCard
+ * @param {number} marginalTaxRate - Marginal tax rate as a percent (e.g., 22)
+ * @returns {number} - Effective APR in the same units as debt.apr
+ */
+export const getAfterTaxApr = (debt, marginalTaxRate) => {
+  if (!isInterestDeductible(debt)) return debt.apr;
+  return debt.apr * (1 - (Number(marginalTaxRate) || 0) / 100);
+};
\ No newline at end of file